@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+/**
+ * Waveline-BG v1.0.0 — Command-line interface
+ *
+ * Writes waveline SVG files at build time, e.g.:
+ *
+ *   waveline-bg --seed 42 --density 12 -o hero.svg
+ *   waveline-bg --config hero.json --palette ocean > hero.svg
+ *
+ * Every --kebab-case flag maps to the camelCase option of generateSvg()
+ * (--stroke-color → strokeColor). Values are parsed as numbers or booleans
+ * when they look like one; a flag without a value means `true`.
+ * @license MIT
+ */
+'use strict';
+
+var fs         = require('fs');
+var path       = require('path');
+var WavelineBG = require('../src/waveline-bg.js');
+
+var USAGE = [
+  'Usage: waveline-bg [options] [-o file.svg]',
+  '',
+  'Options (same names as WavelineBG.generateSvg(), in kebab-case):',
+  '  --seed <n>              Terrain seed (random if omitted)',
+  '  --density <n>           Number of contour lines',
+  '  --freq <n>              Terrain frequency',
+  '  --amplitude <n>         Terrain contrast',
+  '  --field <name>          sine | perlin | simplex | fbm | ridged',
+  '  --stroke-color <color>  Stroke color',
+  '  --background-color <c>  Background fill',
+  '  --palette <name>        Built-in palette name',
+  '  --style <name>          lines | bands | both',
+  '  --width <n> --height <n>  SVG viewBox size',
+  '  ...and any other option, e.g. --opacity-min 0.3',
+  '',
+  '  --config <file.json>    Read options from a JSON file (flags override it)',
+  '  -o, --output <file>     Write to a file instead of stdout',
+  '  -h, --help              Show this help',
+  '  -v, --version           Show the version'
+].join('\n');
+
+/** Converts "stroke-color" to "strokeColor". */
+function camelCase(name) {
+  return name.replace(/-([a-z])/g, function(m, c) { return c.toUpperCase(); });
+}
+
+/** Parses a flag value: numbers and booleans are converted, the rest kept as strings. */
+function parseValue(raw) {
+  if (raw === 'true')  return true;
+  if (raw === 'false') return false;
+  if (raw !== '' && !isNaN(Number(raw))) return Number(raw);
+  return raw;
+}
+
+/**
+ * Parses argv into { options, output, config, help, version }.
+ * Supports "--name value", "--name=value" and bare boolean flags.
+ * @param {string[]} argv - Arguments after the script name.
+ * @returns {object}
+ */
+function parseArgs(argv) {
+  var result = { options: {}, output: null, config: null, help: false, version: false };
+  for (var i = 0; i < argv.length; i++) {
+    var arg = argv[i];
+    if (arg === '-h' || arg === '--help')    { result.help = true; continue; }
+    if (arg === '-v' || arg === '--version') { result.version = true; continue; }
+    if (arg === '-o') { result.output = argv[++i]; continue; }
+    if (arg.slice(0, 2) !== '--') throw new Error('Unexpected argument "' + arg + '".');
+
+    var name = arg.slice(2);
+    var value;
+    var eq = name.indexOf('=');
+    if (eq !== -1) {
+      value = name.slice(eq + 1);
+      name  = name.slice(0, eq);
+    } else if (i + 1 < argv.length && argv[i + 1].slice(0, 2) !== '--') {
+      value = argv[++i];
+    } else {
+      value = 'true';
+    }
+
+    if (name === 'output')      result.output = value;
+    else if (name === 'config') result.config = value;
+    else result.options[camelCase(name)] = parseValue(value);
+  }
+  return result;
+}
+
+function main(argv) {
+  var args = parseArgs(argv);
+  if (args.help)    { process.stdout.write(USAGE + '\n'); return; }
+  if (args.version) { process.stdout.write(WavelineBG.version + '\n'); return; }
+
+  var options = {};
+  if (args.config) {
+    options = JSON.parse(fs.readFileSync(path.resolve(args.config), 'utf8'));
+  }
+  for (var key in args.options) options[key] = args.options[key];
+
+  var svg = WavelineBG.generateSvg(options);
+  if (args.output) {
+    fs.writeFileSync(path.resolve(args.output), svg + '\n');
+  } else {
+    process.stdout.write(svg + '\n');
+  }
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (e) {
+  process.stderr.write('waveline-bg: ' + e.message + '\n');
+  process.exit(1);
+}
@@ -3,9 +3,11 @@
  *
  * Handles:
  * - Initial rendering of body background and demo sections
+ * - Animated background demo
  * - Interactive playground controls (sliders, color picker, seed input)
  * - Live preview rendering
- * - Config display, SVG download, clipboard copy
+ * - Presets, and a URL hash holding the playground config (shareable links)
+ * - Config display, SVG/PNG download, clipboard copy
  */
 // ── Utility ──────────────────────────────────────────────────────────────────
 /** Shorthand for document.getElementById(). */
@@ -14,12 +16,15 @@ function g(id) {
 }
 /**
  * Reads the current playground control values and returns a WavelineBG
- * options object. backgroundColor is always set to white so the SVG layer
- * provides its own fill (required for inline mode — see README).
+ * options object. Without a palette, backgroundColor is always set (white by
+ * default) so the SVG layer provides its own fill (required for inline
+ * mode — see README); with a palette, the palette's matching background is
+ * used instead.
  * @returns {object} WavelineBG options.
  */
 function getConfig() {
-  return {
+  var config = {
+    field: g('field').value,
     density: parseInt(g('density').value),
     freq: parseInt(g('freq').value),
     amplitude: parseFloat(g('amplitude').value),
@@ -29,20 +34,49 @@ function getConfig() {
     opacityMin: parseFloat(g('opacityMin').value),
     opacityMax: parseFloat(g('opacityMax').value),
     strokeColor: g('strokeColor').value,
-    seed: parseInt(g('seed').value),
-    backgroundColor: '#ffffff' // inline mode: SVG carries its own background fill
+    seed: parseInt(g('seed').value)
   };
+  if (g('style').value !== 'lines') config.style = g('style').value;
+  if (g('palette').value) {
+    config.palette = g('palette').value;
+    config.paletteMode = g('paletteMode').value;
+    if (g('colorSeed').value !== '') config.colorSeed = parseInt(g('colorSeed').value);
+  } else {
+    config.backgroundColor = g('backgroundColor').value; // inline mode: SVG carries its own background fill
+  }
+  return config;
 }
 /**
- * Removes the inline SVG wrapper previously injected by WavelineBG.apply()
- * in 'inline' mode. Must be called before re-applying to avoid stacking
- * multiple SVG layers inside the same element.
- * @param {HTMLElement} el - The container element.
+ * Sets every playground control from an options object (e.g. a preset or a
+ * decoded share code). Options the playground has no control for are
+ * ignored; missing ones get the controls' default values.
+ * @param {object} config - WavelineBG options.
  */
-function removeInlineWrapper(el) {
-  var w = el.querySelector('div[style*="position: absolute"]');
-  if (w) w.remove();
+function setControls(config) {
+  var d = WavelineBG.normalizeOptions({ seed: 12345 }); // library defaults
+  function pick(key) { return config[key] !== undefined ? config[key] : d[key]; }
+  g('field').value = typeof config.field === 'string' ? config.field : 'sine';
+  ['density', 'freq', 'amplitude', 'bias', 'strokeMin', 'strokeMax',
+    'opacityMin', 'opacityMax', 'strokeColor', 'seed'].forEach(function (id) {
+      g(id).value = pick(id);
+    });
+  g('backgroundColor').value = config.backgroundColor || '#ffffff';
+  g('style').value = pick('style');
+  g('palette').value = typeof config.palette === 'string' ? config.palette : '';
+  g('paletteMode').value = pick('paletteMode');
+  g('colorSeed').value = config.colorSeed !== undefined ? config.colorSeed : '';
+  updateDisplays();
 }
+// ── State ────────────────────────────────────────────────────────────────────
+/** Instances returned by WavelineBG.apply(), kept to regenerate in place. */
+var bodyBg = null;
+var demo1Bg = null;
+var demo2Bg = null;
+var previewBg = null;
+/** Animation handle returned by WavelineBG.animate() for demo3. */
+var demo3Anim = null;
+/** Whether demo3 was paused by the user. */
+var demo3Paused = false;
 // ── Display updates ───────────────────────────────────────────────────────────
 /**
  * Refreshes the numeric labels displayed next to each slider.
@@ -70,18 +104,25 @@ function updateDisplays() {
 // ── Live Preview ──────────────────────────────────────────────────────────────
 /**
  * Re-renders the live preview zone with the current control values.
- * Removes the previous SVG wrapper, applies a fresh one in inline mode,
- * and updates the config display box.
+ * The first call applies the background in inline mode; later calls update
+ * the same instance in place. Also updates the config display box.
  */
 function updatePreview() {
-  var preview = g('livePreview');
-  // Remove previous SVG wrapper before re-applying
-  removeInlineWrapper(preview);
-  // Apply using inline mode: SVG is a real DOM node behind the content
-  WavelineBG.apply(preview, getConfig(), 'inline');
+  // Built in a Web Worker: dragging a slider fires many updates, and stale
+  // ones are dropped instead of blocking the page
+  var config = getConfig();
+  config.async = true;
+  if (previewBg) {
+    previewBg.update(config);
+  } else {
+    // Apply using inline mode: SVG is a real DOM node behind the content
+    previewBg = WavelineBG.apply(g('livePreview'), config, 'inline');
+  }
   // Update the copyable config snippet
   g('configBox').textContent =
-    'WavelineBG.apply(element, ' + JSON.stringify(getConfig(), null, 2) + ", 'inline');";
+    'WavelineBG.apply(element, ' + JSON.stringify(config, null, 2) + ", 'inline');";
+  // Keep the URL in sync so the page link reproduces this exact pattern
+  history.replaceState(null, '', '#' + WavelineBG.encode(getConfig()));
 }
 // ── Initialisation ────────────────────────────────────────────────────────────
 /**
@@ -91,17 +132,18 @@ function updatePreview() {
 window.addEventListener('load', function () {
 
   // 1. Body background — dataUrl mode, subtle light-grey wavelines
-  WavelineBG.apply(document.body, {
+  bodyBg = WavelineBG.apply(document.body, {
     density: 10,
     freq: 5,
     seed: 12345,
+    autoSize: true, // match the page's real aspect ratio instead of cropping 16:9
     strokeColor: '#cccccc',
     opacityMin: 0.25,
     opacityMax: 0.55
   }, 'dataUrl');
 
   // 2. Demo 1 — dataUrl mode
-  WavelineBG.apply(g('demo1'), {
+  demo1Bg = WavelineBG.apply(g('demo1'), {
     density: 8,
     freq: 4,
     seed: 9999,
@@ -109,88 +151,100 @@ window.addEventListener('load', function () {
   }, 'dataUrl');
 
   // 3. Demo 2 — inline mode (SVG inserted as a DOM node)
-  WavelineBG.apply(g('demo2'), {
+  demo2Bg = WavelineBG.apply(g('demo2'), {
     density: 12,
     freq: 6,
     amplitude: 1.2,
     seed: 5555,
+    autoSize: true,
+    interactive: true, // lines bend around the cursor
     strokeColor: '#999999',
     strokeMin: 0.12,
     strokeMax: 0.32,
     backgroundColor: '#ffffff'
   }, 'inline');
 
-  // Playground: initialise display labels and render first preview
+  // 4. Demo 3 — animated inline background
+  demo3Anim = WavelineBG.animate(g('demo3'), {
+    field: 'simplex',
+    density: 12,
+    freq: 5,
+    seed: 2024,
+    strokeColor: '#999999',
+    backgroundColor: '#ffffff',
+    fps: 24,
+    speed: 0.3
+  });
+
+  // Playground: list presets, restore a shared config from the URL hash,
+  // then render the first preview
+  WavelineBG.presets.list().forEach(function (name) {
+    var option = document.createElement('option');
+    option.value = name;
+    option.textContent = name;
+    g('preset').appendChild(option);
+  });
+  if (location.hash.length > 1) {
+    try {
+      setControls(WavelineBG.decode(location.hash));
+    } catch (e) {
+      console.warn(e.message); // malformed link: keep the defaults
+    }
+  }
   updateDisplays();
   updatePreview();
 });
 // ── Section regenerate buttons ────────────────────────────────────────────────
 /** Regenerates the body background with a random seed. */
 function changeBodyBg() {
-  WavelineBG.apply(document.body, {
-    density: 10,
-    freq: 5,
-    seed: Math.floor(Math.random() * 1e9),
-    strokeColor: '#cccccc',
-    opacityMin: 0.25,
-    opacityMax: 0.55
-  }, 'dataUrl');
+  bodyBg.regenerate();
 }
 /** Regenerates demo1 (dataUrl mode) with a random seed. */
 function changeDemo1() {
-  WavelineBG.apply(g('demo1'), {
-    density: 8,
-    freq: 4,
-    seed: Math.floor(Math.random() * 1e9),
-    strokeColor: '#aaaaaa'
-  }, 'dataUrl');
+  demo1Bg.regenerate();
 }
 /**
  * Regenerates demo2 (inline mode) with a random seed.
- * Removes the previous SVG wrapper first to avoid stacking layers.
+ * The instance replaces its own SVG layer, so nothing stacks up.
  */
 function changeDemo2() {
-  removeInlineWrapper(g('demo2'));
-  WavelineBG.apply(g('demo2'), {
-    density: 12,
-    freq: 6,
-    amplitude: 1.2,
-    seed: Math.floor(Math.random() * 1e9),
-    strokeColor: '#999999',
-    strokeMin: 0.12,
-    strokeMax: 0.32,
-    backgroundColor: '#ffffff'
-  }, 'inline');
+  demo2Bg.regenerate();
+}
+/** Toggles the demo3 animation between playing and paused. */
+function toggleDemo3() {
+  if (demo3Paused) demo3Anim.play();
+  else demo3Anim.pause();
+  demo3Paused = !demo3Paused;
 }
 // ── Playground control listeners ──────────────────────────────────────────────
 // Attach input listeners to all controls; any change triggers a full redraw.
-['density', 'freq', 'amplitude', 'bias',
+['field', 'density', 'freq', 'amplitude', 'bias',
   'strokeMin', 'strokeMax', 'opacityMin', 'opacityMax',
-  'strokeColor', 'seed'].forEach(function (id) {
+  'style', 'strokeColor', 'backgroundColor', 'palette', 'paletteMode', 'colorSeed', 'seed'].forEach(function (id) {
     g(id).addEventListener('input', function () {
+      g('preset').value = '';
       updateDisplays();
       updatePreview();
     });
   });
+// Choosing a preset loads it into the controls (editing a control afterwards
+// switches the selector back to "Custom")
+g('preset').addEventListener('change', function () {
+  if (!g('preset').value) return;
+  setControls(WavelineBG.presets.get(g('preset').value));
+  updatePreview();
+});
 // ── Playground action buttons ─────────────────────────────────────────────────
 /** Sets a random seed and re-renders the preview. */
 function randomSeed() {
   g('seed').value = Math.floor(Math.random() * 1e9);
+  g('preset').value = '';
   updatePreview();
 }
 /** Resets all controls to their default values and re-renders. */
 function resetControls() {
-  g('density').value = 10;
-  g('freq').value = 5;
-  g('amplitude').value = 1;
-  g('bias').value = 0;
-  g('strokeMin').value = 0.16;
-  g('strokeMax').value = 0.26;
-  g('opacityMin').value = 0.5;
-  g('opacityMax').value = 1;
-  g('strokeColor').value = '#888888';
-  g('seed').value = 12345;
-  updateDisplays();
+  g('preset').value = '';
+  setControls({});
   updatePreview();
 }
 /**
@@ -209,6 +263,22 @@ function downloadSvg() {
   document.body.removeChild(link);
   URL.revokeObjectURL(url);
 }
+/**
+ * Triggers a download of the current pattern as a 2x PNG (3840 px wide),
+ * rendered by WavelineBG.toBlob() through the canvas renderer.
+ */
+function downloadPng() {
+  WavelineBG.toBlob(getConfig(), { type: 'image/png', scale: 2 }).then(function (blob) {
+    var url = URL.createObjectURL(blob);
+    var link = document.createElement('a');
+    link.href = url;
+    link.download = 'waveline-bg-' + g('seed').value + '.png';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  });
+}
 /**
  * Copies the current WavelineBG.apply() config snippet to the clipboard.
  * Falls back to an alert if the Clipboard API is unavailable.
@@ -225,3 +295,17 @@ function copyConfig() {
     alert('Clipboard API not available — copy from the box below.');
   }
 }
+/**
+ * Copies a link to this page that reproduces the current pattern: the URL
+ * hash holds the playground config as a WavelineBG.encode() share code.
+ */
+function copyLink() {
+  var url = location.href.split('#')[0] + '#' + WavelineBG.encode(getConfig());
+  if (navigator.clipboard && navigator.clipboard.writeText) {
+    navigator.clipboard.writeText(url)
+      .then(function () { alert('Link copied!'); })
+      .catch(function () { alert('Copy failed — copy the address bar instead.'); });
+  } else {
+    alert('Clipboard API not available — copy the address bar instead.');
+  }
+}
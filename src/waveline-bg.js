@@ -4,13 +4,28 @@
  *
  * (c) 2026 Cédric BEUZIT – MIT License
  * 
- * Generates topographic-style SVG patterns using d3-contour (marching squares)
- * over a procedural scalar field built from superimposed sine waves.
+ * Generates topographic-style SVG patterns using marching squares over a
+ * procedural scalar field built from superimposed sine waves or seeded
+ * gradient noise (Perlin, Simplex, fBm, ridged).
  *
- * Dependencies : d3-contour v2 (peer dependency, loaded via CDN or bundler)
+ * Dependencies : none. d3-contour (v2+) can optionally be injected with
+ *                WavelineBG.useD3() as the contouring backend.
+ *
+ * Module format: UMD. In a browser <script> it defines window.WavelineBG
+ * and wires declarative markup; under CommonJS/AMD it exports the API
+ * without touching window or document until WavelineBG.init() is called.
+ * Only apply()/animate() and markup support need a DOM.
  * @license MIT
  */
-(function(window) {
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(null);
+  } else if (typeof define === 'function' && define.amd) {
+    define([], function() { return factory(null); });
+  } else {
+    root.WavelineBG = factory(null, false, true);
+  }
+})(typeof self !== 'undefined' ? self : this, function wavelineFactory(d3Contour, workerMode, autoInit) {
   'use strict';
 
   // ── PRNG ──────────────────────────────────────────────────────────────────
@@ -30,11 +45,376 @@
     };
   }
 
+  /** Returns a random seed in [0, 1e9), used when no seed is given. */
+  function randomSeed() {
+    return Math.floor(Math.random() * 1e9);
+  }
+
+  // ── UTILITIES ─────────────────────────────────────────────────────────────
+  /**
+   * Copies the own enumerable properties of source onto target (ES5
+   * stand-in for Object.assign). A null/undefined source is ignored.
+   * @param {object} target
+   * @param {object} [source]
+   * @returns {object} target
+   */
+  function assign(target, source) {
+    if (source) {
+      for (var key in source) {
+        if (Object.prototype.hasOwnProperty.call(source, key)) target[key] = source[key];
+      }
+    }
+    return target;
+  }
+
+  /** Reports a recoverable problem on the console, prefixed with the library name. */
+  function warn(message) {
+    if (typeof console !== 'undefined') console.warn('waveline-bg: ' + message);
+  }
+
+  // ── NOISE ─────────────────────────────────────────────────────────────────
+  /**
+   * Builds a seeded permutation table for gradient noise.
+   * The classic 0..255 table is shuffled with the Mulberry32 PRNG (Fisher–Yates)
+   * and doubled to 512 entries so lattice lookups never need a modulo.
+   * @param {function(): number} rnd - Seeded PRNG.
+   * @returns {Uint8Array}
+   */
+  function buildPermutation(rnd) {
+    var p = new Uint8Array(512);
+    var i;
+    for (i = 0; i < 256; i++) p[i] = i;
+    for (i = 255; i > 0; i--) {
+      var r   = Math.floor(rnd() * (i + 1));
+      var tmp = p[i]; p[i] = p[r]; p[r] = tmp;
+    }
+    for (i = 0; i < 256; i++) p[i + 256] = p[i];
+    return p;
+  }
+
+  /** Quintic fade curve 6t⁵ − 15t⁴ + 10t³ (Perlin's improved noise). */
+  function fade(t) {
+    return t * t * t * (t * (t * 6 - 15) + 10);
+  }
+
+  /** Linear interpolation between a and b. */
+  function lerp(t, a, b) {
+    return a + t * (b - a);
+  }
+
+  /** Dot product of (x, y, z) with one of Perlin's 12 edge gradients. */
+  function perlinGrad(h, x, y, z) {
+    h &= 15;
+    var u = h < 8 ? x : y;
+    var v = h < 4 ? y : (h === 12 || h === 14 ? x : z);
+    return ((h & 1) ? -u : u) + ((h & 2) ? -v : v);
+  }
+
+  /**
+   * 3D Perlin gradient noise (Ken Perlin's improved noise). Output is roughly
+   * in [-1, 1]. The terrain is a 2D slice at depth z; moving z over time
+   * makes the terrain morph smoothly instead of just sliding.
+   * @param {Uint8Array} perm - Permutation table from buildPermutation().
+   * @param {number}     x
+   * @param {number}     y
+   * @param {number}     z
+   * @returns {number}
+   */
+  function perlin3(perm, x, y, z) {
+    var X = Math.floor(x), Y = Math.floor(y), Z = Math.floor(z);
+    x -= X; y -= Y; z -= Z;
+    X &= 255; Y &= 255; Z &= 255;
+    var u = fade(x), v = fade(y), w = fade(z);
+    var A  = perm[X] + Y,     AA = perm[A] + Z, AB = perm[A + 1] + Z;
+    var B  = perm[X + 1] + Y, BA = perm[B] + Z, BB = perm[B + 1] + Z;
+    return lerp(w,
+      lerp(v, lerp(u, perlinGrad(perm[AA], x, y,     z), perlinGrad(perm[BA], x - 1, y,     z)),
+              lerp(u, perlinGrad(perm[AB], x, y - 1, z), perlinGrad(perm[BB], x - 1, y - 1, z))),
+      lerp(v, lerp(u, perlinGrad(perm[AA + 1], x, y,     z - 1), perlinGrad(perm[BA + 1], x - 1, y,     z - 1)),
+              lerp(u, perlinGrad(perm[AB + 1], x, y - 1, z - 1), perlinGrad(perm[BB + 1], x - 1, y - 1, z - 1))));
+  }
+
+  /**
+   * Perlin noise that repeats every px lattice cells along x and py along y
+   * (integers, at most 256): lattice corners are wrapped before hashing, so
+   * gradients at x and x + px are the same. Used for tileable fields; with
+   * px = py = 256 it equals perlin3().
+   * @param {Uint8Array} perm
+   * @param {number}     x
+   * @param {number}     y
+   * @param {number}     z
+   * @param {number}     px - Period along x, in lattice cells.
+   * @param {number}     py - Period along y, in lattice cells.
+   * @returns {number}
+   */
+  function perlin3Tiled(perm, x, y, z, px, py) {
+    var X = Math.floor(x), Y = Math.floor(y), Z = Math.floor(z);
+    x -= X; y -= Y; z -= Z;
+    var X0 = ((X % px) + px) % px, X1 = (X0 + 1) % px;
+    var Y0 = ((Y % py) + py) % py, Y1 = (Y0 + 1) % py;
+    Z &= 255;
+    var u = fade(x), v = fade(y), w = fade(z);
+    var AA = perm[perm[X0] + Y0] + Z, AB = perm[perm[X0] + Y1] + Z;
+    var BA = perm[perm[X1] + Y0] + Z, BB = perm[perm[X1] + Y1] + Z;
+    return lerp(w,
+      lerp(v, lerp(u, perlinGrad(perm[AA], x, y,     z), perlinGrad(perm[BA], x - 1, y,     z)),
+              lerp(u, perlinGrad(perm[AB], x, y - 1, z), perlinGrad(perm[BB], x - 1, y - 1, z))),
+      lerp(v, lerp(u, perlinGrad(perm[AA + 1], x, y,     z - 1), perlinGrad(perm[BA + 1], x - 1, y,     z - 1)),
+              lerp(u, perlinGrad(perm[AB + 1], x, y - 1, z - 1), perlinGrad(perm[BB + 1], x - 1, y - 1, z - 1))));
+  }
+
+  // The 12 cube-edge gradient directions used by 3D simplex noise
+  var GRAD3 = [
+    [1, 1, 0], [-1, 1, 0], [1, -1, 0], [-1, -1, 0],
+    [1, 0, 1], [-1, 0, 1], [1, 0, -1], [-1, 0, -1],
+    [0, 1, 1], [0, -1, 1], [0, 1, -1], [0, -1, -1]
+  ];
+
+  /** Contribution of one simplex corner with gradient index h at offset (x, y, z). */
+  function simplexCorner(h, x, y, z) {
+    var t = 0.6 - x * x - y * y - z * z;
+    if (t <= 0) return 0;
+    var g = GRAD3[h % 12];
+    t *= t;
+    return t * t * (g[0] * x + g[1] * y + g[2] * z);
+  }
+
+  // Skew / unskew factors for the 3D simplex grid
+  var F3 = 1 / 3;
+  var G3 = 1 / 6;
+
+  /**
+   * 3D Simplex noise (Gustavson's reference implementation). Fewer directional
+   * artefacts than Perlin noise. Output is roughly in [-1, 1].
+   * @param {Uint8Array} perm - Permutation table from buildPermutation().
+   * @param {number}     x
+   * @param {number}     y
+   * @param {number}     z
+   * @returns {number}
+   */
+  function simplex3(perm, x, y, z) {
+    var s  = (x + y + z) * F3;
+    var i  = Math.floor(x + s);
+    var j  = Math.floor(y + s);
+    var k  = Math.floor(z + s);
+    var t  = (i + j + k) * G3;
+    var x0 = x - (i - t);
+    var y0 = y - (j - t);
+    var z0 = z - (k - t);
+    // Which of the six tetrahedra of the skewed cube are we in?
+    var i1, j1, k1, i2, j2, k2;
+    if (x0 >= y0) {
+      if (y0 >= z0)      { i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 1; k2 = 0; }
+      else if (x0 >= z0) { i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 0; k2 = 1; }
+      else               { i1 = 0; j1 = 0; k1 = 1; i2 = 1; j2 = 0; k2 = 1; }
+    } else {
+      if (y0 < z0)       { i1 = 0; j1 = 0; k1 = 1; i2 = 0; j2 = 1; k2 = 1; }
+      else if (x0 < z0)  { i1 = 0; j1 = 1; k1 = 0; i2 = 0; j2 = 1; k2 = 1; }
+      else               { i1 = 0; j1 = 1; k1 = 0; i2 = 1; j2 = 1; k2 = 0; }
+    }
+    var ii = i & 255, jj = j & 255, kk = k & 255;
+    var n  = simplexCorner(perm[ii      + perm[jj      + perm[kk     ]]], x0, y0, z0)
+           + simplexCorner(perm[ii + i1 + perm[jj + j1 + perm[kk + k1]]], x0 - i1 + G3,     y0 - j1 + G3,     z0 - k1 + G3)
+           + simplexCorner(perm[ii + i2 + perm[jj + j2 + perm[kk + k2]]], x0 - i2 + 2 * G3, y0 - j2 + 2 * G3, z0 - k2 + 2 * G3)
+           + simplexCorner(perm[ii + 1  + perm[jj + 1  + perm[kk + 1 ]]], x0 - 1 + 3 * G3,  y0 - 1 + 3 * G3,  z0 - 1 + 3 * G3);
+    return 32 * n; // scale to roughly [-1, 1]
+  }
+
+  /**
+   * Sums several octaves of a base noise function (fractal Brownian motion).
+   * Each octave is sampled at `lacunarity` times the previous frequency and
+   * weighted by `persistence` times the previous amplitude. In ridged mode
+   * every octave is folded as 1 − |n|, which turns zero crossings into sharp
+   * crests. The result is normalised by the total weight to stay in ~[-1, 1].
+   *
+   * With fo.periods (tileable fields), x and y are fractions of the tile and
+   * octave o is sampled at periods[o] = [px, py] lattice cells per tile
+   * instead of lacunarity^o, and those periods are passed on to the noise.
+   *
+   * @param {function} noise   - Base noise function (perm, x, y, z) → [-1, 1].
+   * @param {Uint8Array} perm  - Permutation table.
+   * @param {number[][]} offsets - Per-octave [dx, dy, dz] domain offsets.
+   * @param {number}  x
+   * @param {number}  y
+   * @param {number}  z        - Slice depth (time axis).
+   * @param {object}  fo       - { octaves, lacunarity, persistence, ridged, periods }.
+   * @returns {number}
+   */
+  function fractal(noise, perm, offsets, x, y, z, fo) {
+    var sum = 0, norm = 0, amp = 1, f = 1;
+    for (var o = 0; o < fo.octaves; o++) {
+      var off = offsets[o];
+      var p   = fo.periods && fo.periods[o];
+      var n   = p
+        ? noise(perm, x * p[0] + off[0], y * p[1] + off[1], z * f + off[2], p[0], p[1])
+        : noise(perm, x * f + off[0], y * f + off[1], z * f + off[2]);
+      if (fo.ridged) n = 1 - 2 * Math.abs(n);
+      sum  += n * amp;
+      norm += amp;
+      amp  *= fo.persistence;
+      f    *= fo.lacunarity;
+    }
+    return norm ? sum / norm : 0;
+  }
+
+  // Default octave count per built-in field type.
+  // 'perlin' and 'simplex' default to a single smooth octave; the fractal
+  // variants default to enough octaves to show fine detail.
+  var FIELD_OCTAVES = { perlin: 1, simplex: 1, fbm: 5, ridged: 5 };
+
+  // Approximate half-range of the built-in fields (the sine sum peaks near
+  // ±3 and noise is scaled to match); used to size bumps.
+  var FIELD_RANGE = 3;
+
+  // Noise lattice units travelled along the time axis per time unit.
+  // Chosen so one time unit morphs noise fields about as much as sine fields.
+  var NOISE_TIME_SCALE = 0.15;
+
   // ── SCALAR FIELD ──────────────────────────────────────────────────────────
+  /**
+   * Returns a sampler (nx, ny, t) → value for the classic sine-sum terrain:
+   * three phase-shifted sine waves at different frequencies and directions.
+   * Each phase advances at its own seeded rate as t grows, so the layers
+   * drift against each other and the terrain morphs over time.
+   *
+   * With a tile, every wave is rounded to a whole number of cycles across
+   * the tile (at least one), so the terrain repeats seamlessly.
+   *
+   * @param {number}             freq - Base frequency multiplier.
+   * @param {function(): number} rnd  - Seeded PRNG.
+   * @param {object}             [tile] - { w, h }: period in normalized units.
+   * @returns {function(number, number, number): number}
+   */
+  function sineSampler(freq, rnd, tile) {
+    // Random phase offsets ensure visual variety across seeds
+    var phase1 = rnd() * Math.PI * 2;
+    var phase2 = rnd() * Math.PI * 2;
+    var phase3 = rnd() * Math.PI * 2;
+    var f      = freq / 10; // normalize freq to a usable range
+
+    // Phase velocities (radians per time unit), drawn after the phases so
+    // static output (t = 0) is unaffected by their presence.
+    var rate1  = (rnd() < 0.5 ? -1 : 1) * (0.3 + rnd() * 0.5);
+    var rate2  = (rnd() < 0.5 ? -1 : 1) * (0.3 + rnd() * 0.5);
+    var rate3  = (rnd() < 0.5 ? -1 : 1) * (0.3 + rnd() * 0.5);
+
+    if (tile) {
+      // Frequency (cycles per normalized unit) giving whole cycles per tile
+      var whole = function(k, span) { return Math.max(1, Math.round(k * span)) / span; };
+      var a1  = whole(f,       tile.w), a2  = whole(f * 0.9, tile.h);
+      var a3x = whole(f * 0.7, tile.w), a3y = whole(f * 0.7, tile.h);
+      var a4x = whole(f * 0.5, tile.w), a4y = whole(f * 0.5, tile.h);
+      return function(nx, ny, t) {
+        var p1 = phase1 + rate1 * t;
+        var p2 = phase2 + rate2 * t;
+        var p3 = phase3 + rate3 * t;
+        var v1 = Math.sin(nx * Math.PI * 2 * a1 + p1) + Math.sin(ny * Math.PI * 2 * a2 + p2);
+        var v2 = 0.6 * Math.sin((nx * a3x + ny * a3y) * Math.PI * 2 + p3);
+        var v3 = 0.4 * Math.sin((nx * a4x - ny * a4y) * Math.PI * 2 - p2);
+        return v1 + v2 + v3;
+      };
+    }
+
+    return function(nx, ny, t) {
+      var p1 = phase1 + rate1 * t;
+      var p2 = phase2 + rate2 * t;
+      var p3 = phase3 + rate3 * t;
+      // Three sine layers: horizontal/vertical, diagonal, counter-diagonal
+      var v1 = Math.sin(nx * Math.PI * 2 * f + p1) + Math.sin(ny * Math.PI * 2 * f * 0.9 + p2);
+      var v2 = 0.6 * Math.sin((nx + ny) * Math.PI * 2 * f * 0.7 + p3);
+      var v3 = 0.4 * Math.sin((nx - ny) * Math.PI * 2 * f * 0.5 - p2);
+      return v1 + v2 + v3;
+    };
+  }
+
+  /**
+   * Returns a sampler (nx, ny, t) → value for one of the gradient-noise fields.
+   * The permutation table and the per-octave domain offsets are drawn from
+   * the seeded PRNG, so the same seed always yields the same terrain.
+   * Time selects the depth of the 2D slice taken through 3D noise.
+   *
+   * With a tile, every field uses periodic Perlin noise (the simplex lattice
+   * cannot wrap around a rectangle) with a whole number of lattice cells per
+   * tile at each octave, so the terrain repeats seamlessly.
+   *
+   * @param {string}             type - 'perlin', 'simplex', 'fbm' or 'ridged'.
+   * @param {number}             freq - Base frequency multiplier.
+   * @param {function(): number} rnd  - Seeded PRNG.
+   * @param {object}             fieldOpts - { octaves, lacunarity, persistence }.
+   * @param {object}             [tile] - { w, h }: period in normalized units.
+   * @returns {function(number, number, number): number}
+   */
+  function noiseSampler(type, freq, rnd, fieldOpts, tile) {
+    var perm  = buildPermutation(rnd);
+    var noise = tile ? perlin3Tiled : type === 'perlin' ? perlin3 : simplex3;
+    var fo    = {
+      octaves:     fieldOpts.octaves     !== undefined ? fieldOpts.octaves     : FIELD_OCTAVES[type],
+      lacunarity:  fieldOpts.lacunarity  !== undefined ? fieldOpts.lacunarity  : DEFAULTS.lacunarity,
+      persistence: fieldOpts.persistence !== undefined ? fieldOpts.persistence : DEFAULTS.persistence,
+      ridged:      type === 'ridged'
+    };
+    var offsets = [];
+    for (var o = 0; o < fo.octaves; o++) {
+      offsets.push([rnd() * 256, rnd() * 256, rnd() * 256]);
+    }
+    // Scale so that freq=5 spans ~2 noise lattice cells across the canvas,
+    // roughly matching the feature size of the sine field.
+    var f = freq * 0.4;
+
+    if (tile) {
+      fo.periods = [];
+      for (var po = 0, scale = f; po < fo.octaves; po++, scale *= fo.lacunarity) {
+        fo.periods.push([
+          Math.min(256, Math.max(1, Math.round(scale * tile.w))),
+          Math.min(256, Math.max(1, Math.round(scale * tile.h)))
+        ]);
+      }
+      return function(nx, ny, t) {
+        return 3 * fractal(noise, perm, offsets, nx / tile.w, ny / tile.h, t * NOISE_TIME_SCALE, fo);
+      };
+    }
+
+    return function(nx, ny, t) {
+      // ×3 brings the normalised noise to the same range as the sine sum
+      return 3 * fractal(noise, perm, offsets, nx * f, ny * f, t * NOISE_TIME_SCALE, fo);
+    };
+  }
+
   /**
    * Generates a flat array of scalar values representing a 2D terrain.
-   * The field is built by summing three phase-shifted sine waves at different
-   * frequencies and directions, producing organic, non-repeating patterns.
+   *
+   * The terrain shape is chosen by fieldOpts.field:
+   * - 'sine' (default): three phase-shifted sine waves at different
+   *   frequencies and directions, producing smooth, regular patterns.
+   * - 'perlin' / 'simplex': gradient noise, organic and non-periodic.
+   * - 'fbm': fractal Brownian motion (several simplex octaves summed).
+   * - 'ridged': ridged multifractal, sharp crests and wide valleys.
+   * - a function (nx, ny, rnd, t) → number, called once per grid cell with
+   *   normalized coordinates in [-0.5, 0.5], the seeded PRNG and the time.
+   *
+   * fieldOpts.time (default 0) is the animation time: sine phases advance
+   * with it and noise fields are sliced at a depth proportional to it.
+   * fieldOpts.scaleX / scaleY (default 1) stretch the sampled domain, so a
+   * grid can cover more (or less) terrain than the unit square.
+   * fieldOpts.offsetX / offsetY (default 0) slide the sampled domain, e.g.
+   * for scroll parallax.
+   * fieldOpts.bumps is a list of Gaussian bumps { x, y, rx, ry, strength }
+   * in (unshifted) normalized coordinates, added on top of the terrain.
+   * strength 1 is about the full height of the built-in fields; negative
+   * values dig dents. If fieldOpts.stats is an object, it receives the
+   * { min, max } of the terrain before bumps are added.
+   * fieldOpts.focus { x, y, rx, ry, strength } pinches the sampled domain
+   * towards (x, y): within about rx/ry the terrain is compressed by up to
+   * 1 + strength (more features, so denser lines), negative strengths
+   * (down to -0.9) spread it out instead.
+   * fieldOpts.heightmap (see placeHeightmap) is blended into the terrain
+   * before bumps: its heights in [0, 1] span the full range of the built-in
+   * fields, weighted by its mix against the procedural value. Like bumps,
+   * it ignores fieldOffset and focus, so the shape stays where it is put.
+   * fieldOpts.tileable makes the built-in fields periodic over the sampled
+   * domain (scaleX × scaleY), so that value (gridW, j) equals (0, j) and
+   * (i, gridH) equals (i, 0); bumps and heightmaps wrap around too. Custom field functions
+   * must be periodic themselves.
    *
    * Array layout: row-major, i.e. values[j * gridW + i] = value at (i, j).
    * This matches the format expected by d3.contours().size([gridW, gridH]).
@@ -44,61 +424,339 @@
    * @param {number} freq      - Base frequency multiplier (controls wave density).
    * @param {number} amplitude - Overall contrast of the terrain.
    * @param {number} seed      - PRNG seed for reproducible results.
+   * @param {object} [fieldOpts] - { field, octaves, lacunarity, persistence,
+   *                               time, scaleX, scaleY, offsetX, offsetY,
+   *                               bumps, focus, heightmap, stats, tileable }.
    * @returns {number[]}
    */
-  function generateField(gridW, gridH, freq, amplitude, seed) {
+  function generateField(gridW, gridH, freq, amplitude, seed, fieldOpts) {
+    fieldOpts = fieldOpts || {};
     var values = [];
     var rnd    = mulberry32(seed >>> 0);
-    // Random phase offsets ensure visual variety across seeds
-    var phase1 = rnd() * Math.PI * 2;
-    var phase2 = rnd() * Math.PI * 2;
-    var phase3 = rnd() * Math.PI * 2;
-    var f      = freq / 10; // normalize freq to a usable range
+    var type   = fieldOpts.field || 'sine';
+    var time   = fieldOpts.time  || 0;
+    var scaleX = fieldOpts.scaleX || 1;
+    var scaleY = fieldOpts.scaleY || 1;
+    var offX   = fieldOpts.offsetX || 0;
+    var offY   = fieldOpts.offsetY || 0;
+    var bumps  = fieldOpts.bumps   || [];
+    var stats  = fieldOpts.stats;
+    var focus  = fieldOpts.focus;
+    var map    = fieldOpts.heightmap;
+    var tile   = fieldOpts.tileable ? { w: scaleX, h: scaleY } : null;
+    var sample;
+
+    if (typeof type === 'function') {
+      sample = function(nx, ny, t) { return type(nx, ny, rnd, t); };
+    } else if (type === 'sine') {
+      sample = sineSampler(freq, rnd, tile);
+    } else if (FIELD_OCTAVES.hasOwnProperty(type)) {
+      sample = noiseSampler(type, freq, rnd, fieldOpts, tile);
+    } else {
+      throw new Error('Unknown field type "' + type + '".');
+    }
 
     for (var j = 0; j < gridH; j++) {
       for (var i = 0; i < gridW; i++) {
         // Normalize coords to [-0.5, 0.5] for frequency-independent scaling
-        var nx = i / gridW - 0.5;
-        var ny = j / gridH - 0.5;
-        // Three sine layers: horizontal/vertical, diagonal, counter-diagonal
-        var v1 = Math.sin(nx * Math.PI * 2 * f + phase1) + Math.sin(ny * Math.PI * 2 * f * 0.9 + phase2);
-        var v2 = 0.6 * Math.sin((nx + ny) * Math.PI * 2 * f * 0.7 + phase3);
-        var v3 = 0.4 * Math.sin((nx - ny) * Math.PI * 2 * f * 0.5 - phase2);
-        values.push((v1 + v2 + v3) * amplitude);
+        var nx = (i / gridW - 0.5) * scaleX;
+        var ny = (j / gridH - 0.5) * scaleY;
+        var wx = nx, wy = ny;
+        if (focus) {
+          var fdx = nx - focus.x;
+          var fdy = ny - focus.y;
+          if (tile) {
+            fdx -= Math.round(fdx / scaleX) * scaleX;
+            fdy -= Math.round(fdy / scaleY) * scaleY;
+          }
+          var ex = fdx / focus.rx, ey = fdy / focus.ry;
+          var k  = 1 + focus.strength * Math.exp(-0.5 * (ex * ex + ey * ey));
+          wx = focus.x + fdx * k;
+          wy = focus.y + fdy * k;
+        }
+        var v  = sample(wx + offX, wy + offY, time);
+        if (map) {
+          var hx = nx, hy = ny;
+          if (tile) {
+            // Position relative to the nearest copy of the heightmap
+            hx -= Math.round((nx - map.x - map.w / 2) / scaleX) * scaleX;
+            hy -= Math.round((ny - map.y - map.h / 2) / scaleY) * scaleY;
+          }
+          var lift = (sampleHeightmap(map, hx, hy) * 2 - 1) * FIELD_RANGE;
+          v = v * (1 - map.mix) + lift * map.mix;
+        }
+        if (stats) {
+          if (!(v * amplitude >= stats.min)) stats.min = v * amplitude;
+          if (!(v * amplitude <= stats.max)) stats.max = v * amplitude;
+        }
+        for (var b = 0; b < bumps.length; b++) {
+          var dx = nx - bumps[b].x;
+          var dy = ny - bumps[b].y;
+          if (tile) {
+            // Nearest copy of the bump across the tile edges
+            dx -= Math.round(dx / scaleX) * scaleX;
+            dy -= Math.round(dy / scaleY) * scaleY;
+          }
+          var bx = dx / bumps[b].rx;
+          var by = dy / bumps[b].ry;
+          v += bumps[b].strength * FIELD_RANGE * Math.exp(-0.5 * (bx * bx + by * by));
+        }
+        values.push(v * amplitude);
       }
     }
     return values;
   }
 
+  // Cells copied around a tileable field before contouring (see buildScene)
+  var TILE_MARGIN = 2;
+
+  /**
+   * Surrounds a periodic row-major field with a margin of cells taken from
+   * the opposite edges, as if the neighbouring tiles were laid around it.
+   * @param {number[]} values - gridW × gridH field from generateField().
+   * @param {number}   gridW
+   * @param {number}   gridH
+   * @param {number}   margin - Cells added on each side.
+   * @returns {number[]} (gridW + 2·margin) × (gridH + 2·margin) field.
+   */
+  function wrapField(values, gridW, gridH, margin) {
+    var wrapped = [];
+    for (var j = -margin; j < gridH + margin; j++) {
+      var row = ((j % gridH) + gridH) % gridH * gridW;
+      for (var i = -margin; i < gridW + margin; i++) {
+        wrapped.push(values[row + ((i % gridW) + gridW) % gridW]);
+      }
+    }
+    return wrapped;
+  }
+
+  // ── GEOMETRY ──────────────────────────────────────────────────────────────
+  /** Squared distance from p to segment [a, b]. */
+  function segmentDistSq(p, a, b) {
+    var dx = b[0] - a[0], dy = b[1] - a[1];
+    var len = dx * dx + dy * dy;
+    var t = len ? ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / len : 0;
+    t = Math.max(0, Math.min(1, t));
+    var ex = a[0] + t * dx - p[0], ey = a[1] + t * dy - p[1];
+    return ex * ex + ey * ey;
+  }
+
+  /**
+   * Ramer–Douglas–Peucker simplification of an open polyline: keeps the
+   * endpoints and recursively every point farther than tolerance from the
+   * chord. Iterative (explicit stack) to cope with very long contours.
+   * @param {number[][]} pts
+   * @param {number}     tolerance - Maximum deviation, in the points' units.
+   * @returns {number[][]}
+   */
+  function simplifyRdp(pts, tolerance) {
+    var n = pts.length;
+    if (n < 3) return pts.slice();
+    var keep  = new Uint8Array(n);
+    var tolSq = tolerance * tolerance;
+    var stack = [0, n - 1];
+    keep[0] = keep[n - 1] = 1;
+    while (stack.length) {
+      var last = stack.pop(), first = stack.pop();
+      var maxD = 0, index = -1;
+      for (var i = first + 1; i < last; i++) {
+        var d = segmentDistSq(pts[i], pts[first], pts[last]);
+        if (d > maxD) { maxD = d; index = i; }
+      }
+      if (maxD > tolSq) {
+        keep[index] = 1;
+        stack.push(first, index, index, last);
+      }
+    }
+    return pts.filter(function(p, i) { return keep[i]; });
+  }
+
+  /** Area of the triangle (a, b, c). */
+  function triangleArea(a, b, c) {
+    return Math.abs((b[0] - a[0]) * (c[1] - a[1]) - (c[0] - a[0]) * (b[1] - a[1])) / 2;
+  }
+
+  /**
+   * Visvalingam–Whyatt simplification of an open polyline: repeatedly drops
+   * the interior point whose triangle with its neighbours has the smallest
+   * area, until every remaining triangle is at least minTriangle. Tends to
+   * keep the overall shape better than RDP at high reduction rates.
+   * @param {number[][]} pts
+   * @param {number}     minTriangle - Area threshold, in the points' units².
+   * @returns {number[][]}
+   */
+  function simplifyVisvalingam(pts, minTriangle) {
+    var out = pts.slice();
+    while (out.length > 2) {
+      var minA = Infinity, index = -1;
+      for (var i = 1; i < out.length - 1; i++) {
+        var area = triangleArea(out[i - 1], out[i], out[i + 1]);
+        if (area < minA) { minA = area; index = i; }
+      }
+      if (minA >= minTriangle) break;
+      out.splice(index, 1);
+    }
+    return out;
+  }
+
+  /**
+   * Simplifies a closed ring (first point repeated at the end). The ring is
+   * split at the point farthest from its start so both halves have a proper
+   * chord, simplified separately, and stitched back together.
+   * @param {number[][]} ring
+   * @param {number}     tolerance - Distance tolerance in SVG units.
+   * @param {string}     method    - 'rdp' or 'visvalingam'.
+   * @returns {number[][]} Simplified closed ring (may collapse below 4 points).
+   */
+  function simplifyRing(ring, tolerance, method) {
+    var far = 0, maxD = -1;
+    for (var i = 1; i < ring.length - 1; i++) {
+      var dx = ring[i][0] - ring[0][0], dy = ring[i][1] - ring[0][1];
+      var d  = dx * dx + dy * dy;
+      if (d > maxD) { maxD = d; far = i; }
+    }
+    var simplify = method === 'visvalingam'
+      ? function(pts) { return simplifyVisvalingam(pts, tolerance * tolerance); }
+      : function(pts) { return simplifyRdp(pts, tolerance); };
+    var a = simplify(ring.slice(0, far + 1));
+    var b = simplify(ring.slice(far));
+    return a.concat(b.slice(1));
+  }
+
+  /** Signed area of a closed ring (shoelace formula). */
+  function ringArea(ring) {
+    var sum = 0;
+    for (var i = 0, n = ring.length - 1; i < n; i++) {
+      sum += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+    }
+    return sum / 2;
+  }
+
+  /**
+   * Formats a number for path data. Legacy absolute output uses toFixed()
+   * unchanged; compact output also strips trailing zeros ("1.500" → "1.5").
+   */
+  function formatCoord(v, precision, compact) {
+    var s = v.toFixed(precision);
+    if (!compact) return s;
+    if (s.indexOf('.') !== -1) s = s.replace(/0+$/, '').replace(/\.$/, '');
+    return s === '-0' ? '0' : s;
+  }
+
+  /**
+   * Serialises one closed ring (in SVG units) as path data.
+   *
+   * - Absolute mode: "M x y L x y ... Z", the historical format.
+   * - Relative mode: "M x y l dx dy dx dy ... z". Each ring still starts with
+   *   an absolute M, so rings (and whole contours) can be concatenated, e.g.
+   *   for even-odd bands. Deltas are taken between rounded absolute
+   *   positions, so rounding errors never accumulate along the ring.
+   * - Catmull-Rom curve: each segment Pi → Pi+1 becomes a cubic Bézier with
+   *   control points Pi + (Pi+1 − Pi−1) / 6 and Pi+1 − (Pi+2 − Pi) / 6.
+   *
+   * @param {number[][]} ring   - Closed ring, first point repeated at the end.
+   * @param {object}     po     - { precision, relative, curve }.
+   * @returns {string}
+   */
+  function ringToPath(ring, po) {
+    var precision = po.precision;
+    var relative  = po.relative;
+    var factor    = Math.pow(10, precision);
+    var round     = function(v) { return Math.round(v * factor) / factor; };
+    var fmt       = function(v) { return formatCoord(v, precision, relative); };
+    var n         = ring.length - 1; // distinct points
+    var d         = 'M ' + fmt(ring[0][0]) + ' ' + fmt(ring[0][1]);
+    var cx        = round(ring[0][0]), cy = round(ring[0][1]); // current point (rounded)
+
+    if (po.curve === 'catmull-rom' && n >= 3) {
+      var at = function(i) { return ring[(i + n) % n]; };
+      d += relative ? ' c' : ' C';
+      for (var i = 0; i < n; i++) {
+        var p0 = at(i - 1), p1 = at(i), p2 = at(i + 1), p3 = at(i + 2);
+        var pts = [
+          p1[0] + (p2[0] - p0[0]) / 6, p1[1] + (p2[1] - p0[1]) / 6,
+          p2[0] - (p3[0] - p1[0]) / 6, p2[1] - (p3[1] - p1[1]) / 6,
+          p2[0], p2[1]
+        ].map(round);
+        for (var k = 0; k < 6; k += 2) {
+          d += ' ' + fmt(relative ? round(pts[k] - cx) : pts[k])
+             + ' ' + fmt(relative ? round(pts[k + 1] - cy) : pts[k + 1]);
+        }
+        cx = pts[4]; cy = pts[5];
+      }
+    } else if (relative) {
+      d += ' l';
+      for (var j = 1; j < n; j++) {
+        var x = round(ring[j][0]), y = round(ring[j][1]);
+        d += ' ' + fmt(round(x - cx)) + ' ' + fmt(round(y - cy));
+        cx = x; cy = y;
+      }
+    } else {
+      for (var m = 1; m <= n; m++) {
+        d += ' L ' + fmt(ring[m][0]) + ' ' + fmt(ring[m][1]);
+      }
+    }
+    return d + (relative ? ' z' : ' Z');
+  }
+
   // ── CONTOUR → SVG PATH ────────────────────────────────────────────────────
+  // Default path-data settings: historical output, byte for byte
+  var DEFAULT_PATH_OPTIONS = {
+    precision: 3, relative: false, curve: 'linear',
+    simplify: 0, simplifyMethod: 'rdp', minArea: 0, jitter: null
+  };
+
   /**
-   * Converts a single d3-contour GeoJSON MultiPolygon into an SVG path string.
+   * Converts a single contour GeoJSON MultiPolygon into an SVG path string.
    *
-   * d3-contour produces coordinates in grid-cell units [0, gridW] × [0, gridH].
+   * Contours (built-in or d3-contour) are in grid-cell units [0, gridW] × [0, gridH].
    * We scale them to SVG user units using sx/sy, then subtract the bleed offset
    * so the terrain extends slightly beyond the visible viewBox on all sides.
    * This ensures contour artefacts at the grid edges are clipped out of view.
    *
-   * @param {object} contour - d3 GeoJSON MultiPolygon contour object.
+   * Optional geometry optimisation (see DEFAULT_PATH_OPTIONS), in order:
+   * points are moved by the jitter function (hand-drawn lines), rings
+   * smaller than minArea (SVG units²) are dropped, the rest simplified
+   * with the given tolerance, then serialised with the chosen precision,
+   * relative commands and curve.
+   *
+   * @param {object} contour - GeoJSON MultiPolygon contour object.
    * @param {number} sx      - Horizontal scale factor (SVG units per grid cell).
    * @param {number} sy      - Vertical scale factor (SVG units per grid cell).
    * @param {number} ox      - Horizontal offset (bleed in SVG units).
    * @param {number} oy      - Vertical offset (bleed in SVG units).
+   * @param {object} [po]    - Path options; defaults to DEFAULT_PATH_OPTIONS.
    * @returns {string} SVG path data string.
    */
-  function contourToPath(contour, sx, sy, ox, oy) {
-    var d = '';
+  function contourToPath(contour, sx, sy, ox, oy, po) {
+    po = po || DEFAULT_PATH_OPTIONS;
+    var parts = [];
     contour.coordinates.forEach(function(poly) {
       poly.forEach(function(ring) {
-        ring.forEach(function(pt, idx) {
-          var x = pt[0] * sx - ox;
-          var y = pt[1] * sy - oy;
-          d += (idx === 0 ? 'M ' : 'L ') + x.toFixed(3) + ' ' + y.toFixed(3) + ' ';
+        var pts = ring.map(function(pt) {
+          return [pt[0] * sx - ox, pt[1] * sy - oy];
         });
-        d += 'Z '; // close each ring
+        if (po.jitter) pts = pts.map(po.jitter);
+        if (po.minArea > 0 && Math.abs(ringArea(pts)) < po.minArea) return;
+        if (po.simplify > 0) {
+          pts = simplifyRing(pts, po.simplify, po.simplifyMethod);
+          if (pts.length < 4) return; // collapsed to a line or a point
+        }
+        parts.push(ringToPath(pts, po));
       });
     });
-    return d.trim();
+    return parts.join(' ');
+  }
+
+  /**
+   * Returns a closed rectangular path over grid cells [x0, x1] × [y0, y1],
+   * mapped to SVG units the same way as contourToPath().
+   * @returns {string} SVG path data string.
+   */
+  function rectPath(x0, y0, x1, y1, sx, sy, ox, oy) {
+    var l = (x0 * sx - ox).toFixed(3), r = (x1 * sx - ox).toFixed(3);
+    var t = (y0 * sy - oy).toFixed(3), b = (y1 * sy - oy).toFixed(3);
+    return 'M ' + l + ' ' + t + ' L ' + r + ' ' + t + ' L ' + r + ' ' + b + ' L ' + l + ' ' + b + ' Z';
   }
 
   // ── BIAS ──────────────────────────────────────────────────────────────────
@@ -118,188 +776,3851 @@
     return 1 - Math.pow(1 - u, 1 - bias);
   }
 
-  // ── SVG GENERATION ────────────────────────────────────────────────────────
+  // ── STROKE STYLES ─────────────────────────────────────────────────────────
+  // Named curves for strokeEasing / opacityEasing, mapping the ramp
+  // position t ∈ [0, 1] to how far along the ramp a line is drawn
+  var EASINGS = {
+    'linear':      function(t) { return t; },
+    'ease-in':     function(t) { return t * t; },
+    'ease-out':    function(t) { return t * (2 - t); },
+    'ease-in-out': function(t) { return t * t * (3 - 2 * t); }
+  };
+
+  // Wavelength of the hand-drawn wobble (see jitterer), as a fraction of
+  // the viewBox's shorter side: a few bends along a typical contour
+  var JITTER_WAVELENGTH = 0.08;
+
+  /** Easing option (name or function) → function. */
+  function resolveEasing(easing) {
+    return typeof easing === 'function' ? easing : EASINGS[easing];
+  }
+
   /**
-   * Generates a complete SVG string representing the waveline pattern.
-   *
-   * The terrain grid is mapped onto a slightly larger area than the viewBox
-   * (controlled by the bleed factor). A <clipPath> then clips the SVG to
-   * the exact viewBox bounds, removing any contour artefacts at grid edges.
-   *
-   * @param {object} options - Configuration object (see README for full list).
-   * @returns {string} SVG markup as a string.
+   * Dash pattern of contour idx: `dash` is one pattern for every line
+   * (e.g. [1, 0.5], in viewBox units) or a list of patterns cycling
+   * through the levels, where an empty pattern means solid.
+   * @param {Array}  dash
+   * @param {number} idx
+   * @returns {number[]|null} null for a solid line.
    */
-  function generateWavelineSvg(options) {
-    options = options || {};
+  function dashPattern(dash, idx) {
+    if (!dash || !dash.length) return null;
+    var pattern = Array.isArray(dash[0]) ? dash[idx % dash.length] : dash;
+    return pattern.length ? pattern : null;
+  }
 
-    // Canvas dimensions in SVG user units (default: 16:9 aspect ratio)
-    var width      = options.width      || 100;
-    var height     = options.height     || 56.25;
+  /** OPTION_SCHEMA check of `dash`: one pattern of lengths >= 0 or a list of them. */
+  function checkDash(dash) {
+    var isPattern = function(p) { return Array.isArray(p) && p.every(isDashLength); };
+    return isPattern(dash) || dash.every(isPattern) ? null : 'an array of lengths >= 0, or of such arrays';
+  }
 
-    // Grid resolution: more cells = finer contours, but slower generation
-    var gridWidth  = options.gridWidth  || 160;
-    var gridHeight = options.gridHeight || 90;
+  function isDashLength(n) { return typeof n === 'number' && isFinite(n) && n >= 0; }
 
-    // Terrain parameters
-    var density    = options.density    || 10;   // number of contour lines
-    var freq       = options.freq       || 5;    // wave frequency
-    var amplitude  = options.amplitude  || 1.0;  // terrain contrast
+  /**
+   * Returns a function moving a path point (in viewBox units) for
+   * hand-drawn lines. Offsets come from seeded Perlin noise, so lines bend
+   * smoothly rather than shake, and differ per contour (the level is the
+   * noise depth). With a tile, the noise repeats across the viewBox so
+   * tiles still join.
+   *
+   * @param {number}  amount - Largest offset, in viewBox units.
+   * @param {number}  seed
+   * @param {number}  width  - viewBox width.
+   * @param {number}  height - viewBox height.
+   * @param {boolean} tile
+   * @returns {function(number[], number): number[]} (point, level) → point.
+   */
+  function jitterer(amount, seed, width, height, tile) {
+    // Own permutation, so jitter never shifts the terrain's random draws
+    var perm = buildPermutation(mulberry32((seed ^ 0x6A09E667) >>> 0));
+    var f    = 1 / (JITTER_WAVELENGTH * Math.min(width, height));
+    var px   = Math.max(1, Math.min(256, Math.round(width  * f)));
+    var py   = Math.max(1, Math.min(256, Math.round(height * f)));
+    var noise = tile
+      ? function(x, y, z) { return perlin3Tiled(perm, x / width * px, y / height * py, z, px, py); }
+      : function(x, y, z) { return perlin3(perm, x * f, y * f, z); };
+    return function(p, level) {
+      var z = level * 1.618 + 0.5;
+      return [p[0] + amount * noise(p[0], p[1], z), p[1] + amount * noise(p[0], p[1], z + 97)];
+    };
+  }
 
-    // Stroke appearance
-    var strokeMin  = options.strokeMin  !== undefined ? options.strokeMin  : 0.16;
-    var strokeMax  = options.strokeMax  !== undefined ? options.strokeMax  : 0.26;
-    var opacityMin = options.opacityMin !== undefined ? options.opacityMin : 0.5;
-    var opacityMax = options.opacityMax !== undefined ? options.opacityMax : 1.0;
+  // ── PALETTES ──────────────────────────────────────────────────────────────
+  /**
+   * Built-in palettes. Each has an ordered list of stroke colours (low → high
+   * elevation) and a matching background colour. Add your own by assigning
+   * to WavelineBG.palettes, e.g. WavelineBG.palettes.brand = {...}.
+   */
+  var PALETTES = {
+    graphite: { colors: ['#5c5c5c', '#7a7a7a', '#999999', '#b8b8b8', '#d4d4d4'], background: '#ffffff' },
+    ocean:    { colors: ['#0b3c5d', '#1d6fa3', '#3a9bd9', '#7cc4ef', '#bfe3f8'], background: '#f3f9fd' },
+    sunset:   { colors: ['#5b1a4a', '#a4286a', '#e2465f', '#f88a4f', '#fcd06b'], background: '#fff8f0' },
+    forest:   { colors: ['#1f3b2d', '#2f5d3f', '#4f8a5b', '#8cbf7a', '#cde3b0'], background: '#f6faf2' },
+    sand:     { colors: ['#6b4f2a', '#9a7545', '#c49d68', '#dfc193', '#f2e2c2'], background: '#fdf9f1' },
+    aurora:   { colors: ['#2a1b5c', '#3b4cc0', '#22a6b3', '#5fe3a1', '#d4fc79'], background: '#0e0b1f' },
+    midnight: { colors: ['#1e2a44', '#2e4068', '#4a5f8f', '#7286b8', '#a6b6dd'], background: '#0b1020' }
+  };
 
-    var bias        = options.bias        || 0;
-    var seed        = options.seed        !== undefined ? options.seed : Math.floor(Math.random() * 1e9);
-    var strokeColor = options.strokeColor     || '#888888';
-    var bgColor     = options.backgroundColor || 'transparent';
+  /**
+   * Resolves a palette option into { colors, background }.
+   * @param {string|string[]|object} palette - Built-in name, array of colours,
+   *        or { colors, background } object.
+   * @returns {{colors: string[], background: (string|undefined)}}
+   */
+  function resolvePalette(palette) {
+    if (typeof palette === 'string') {
+      if (!PALETTES.hasOwnProperty(palette)) {
+        throw new Error('Unknown palette "' + palette + '".');
+      }
+      palette = PALETTES[palette];
+    }
+    if (Array.isArray(palette)) return { colors: palette.slice(), background: undefined };
+    if (!palette || !palette.colors || !palette.colors.length) {
+      throw new Error('A palette needs at least one colour.');
+    }
+    return { colors: palette.colors.slice(), background: palette.background };
+  }
 
-    if (typeof d3 === 'undefined' || !d3.contours) {
-      throw new Error('d3-contour is required. Load it before waveline-bg.js.');
+  /**
+   * Shuffles colours in place with a seeded PRNG (Fisher–Yates), so a
+   * colorSeed re-rolls the colour assignment independently of the terrain.
+   * @param {string[]} colors
+   * @param {number}   colorSeed
+   * @returns {string[]} colors
+   */
+  function shuffleColors(colors, colorSeed) {
+    var rnd = mulberry32(colorSeed >>> 0);
+    for (var i = colors.length - 1; i > 0; i--) {
+      var r   = Math.floor(rnd() * (i + 1));
+      var tmp = colors[i]; colors[i] = colors[r]; colors[r] = tmp;
     }
+    return colors;
+  }
 
-    // ── Bleed: extend terrain beyond the viewBox ───────────────────────────
-    // d3-contour generates artefact lines at the exact boundaries of the grid.
-    // By mapping the grid onto a zone 10% larger on each side, these artefacts
-    // fall outside the viewBox and are removed by the clipPath.
-    var bleed = 0.10;
-    var fullW = width  * (1 + bleed * 2); // total mapped width  (120% of viewBox)
-    var fullH = height * (1 + bleed * 2); // total mapped height (120% of viewBox)
-    var ox    = width  * bleed;           // left/right bleed in SVG units
-    var oy    = height * bleed;           // top/bottom bleed in SVG units
-    var sx    = fullW / (gridWidth  - 1); // horizontal scale: grid cell → SVG units
-    var sy    = fullH / (gridHeight - 1); // vertical scale:   grid cell → SVG units
+  /**
+   * Parses a #rgb or #rrggbb colour.
+   * @param {string} color
+   * @returns {number[]|null} [r, g, b] in 0..255, or null if not a hex colour.
+   */
+  function parseHexColor(color) {
+    var m = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color);
+    if (!m) return null;
+    var hex = m[1];
+    if (hex.length === 3) hex = hex.charAt(0) + hex.charAt(0) + hex.charAt(1) + hex.charAt(1) + hex.charAt(2) + hex.charAt(2);
+    var n = parseInt(hex, 16);
+    return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+  }
 
-    // ── Generate scalar field and compute contour thresholds ───────────────
-    var field = generateField(gridWidth, gridHeight, freq, amplitude, seed);
-    var min   = Math.min.apply(null, field);
-    var max   = Math.max.apply(null, field);
+  /** Formats [r, g, b] as #rrggbb. */
+  function toHexColor(rgb) {
+    return '#' + rgb.map(function(c) {
+      var h = Math.round(c).toString(16);
+      return h.length === 1 ? '0' + h : h;
+    }).join('');
+  }
 
-    // Distribute thresholds evenly across the field range, with optional bias
-    var levels = [];
-    for (var k = 1; k <= density; k++) {
-      var u = k / (density + 1);
-      levels.push(min + applyBias(u, bias) * (max - min));
+  /**
+   * CSS custom property reference with a fallback, written into the SVG
+   * with `cssVars` so page styles can recolour inline backgrounds.
+   * @param {string} name     - Variable name after --waveline-, e.g. 'stroke'.
+   * @param {string} fallback - Colour used when the variable is not set.
+   * @returns {string} e.g. 'var(--waveline-stroke, #888888)'.
+   */
+  function cssVar(name, fallback) {
+    if (!isSafeColor(fallback)) {
+      throw new WavelineOptionError('cssVars', 'colours ' + SAFE_COLOR_TEXT, fallback);
     }
+    return 'var(--waveline-' + name + ', ' + fallback + ')';
+  }
 
-    // Run marching squares via d3-contour
-    var contourData = d3.contours()
-      .size([gridWidth, gridHeight])
-      .smooth(true)
-      .thresholds(levels)(field);
+  // Colours end up inside a style attribute with cssVars (see cssVar), so
+  // anything that could close the declaration or load a resource is refused
+  var UNSAFE_COLOR    = /[;{}\\]|url\(/i;
+  var SAFE_COLOR_TEXT = 'without ";", "{", "}", "\\" or "url("';
 
-    // ── Build SVG string ───────────────────────────────────────────────────
-    // Use a unique clipPath id per seed to avoid collisions when multiple
-    // instances are rendered on the same page.
-    var clipId = 'wlbg-' + (seed % 999983);
+  function isSafeColor(color) {
+    return typeof color !== 'string' || !UNSAFE_COLOR.test(color);
+  }
 
-    var svg = '<svg xmlns="http://www.w3.org/2000/svg"'
-            + ' viewBox="0 0 ' + width + ' ' + height + '"'
-            + ' preserveAspectRatio="xMidYMid slice">'
-            + '<defs><clipPath id="' + clipId + '">'
-            + '<rect x="0" y="0" width="' + width + '" height="' + height + '"/>'
-            + '</clipPath></defs>'
-            // Background fill (transparent by default; set backgroundColor for inline mode)
-            + '<rect width="' + width + '" height="' + height + '" fill="' + bgColor + '"/>'
-            + '<g clip-path="url(#' + clipId + ')">';
+  /** OPTION_SCHEMA check of a colour option. */
+  function checkColor(color) {
+    return isSafeColor(color) ? null : 'a colour ' + SAFE_COLOR_TEXT;
+  }
 
-    // Render each contour as a stroked path.
-    // Stroke width and opacity vary linearly from inner to outer contours,
-    // creating a subtle depth effect.
-    contourData.forEach(function(c, idx) {
-      var t  = idx / (contourData.length - 1 || 1); // normalized position [0, 1]
-      var d  = contourToPath(c, sx, sy, ox, oy);
-      var sw = strokeMin + (strokeMax - strokeMin) * t;       // thin → thick
-      var op = opacityMin + (opacityMax - opacityMin) * (1 - t); // opaque → faint
-      svg += '<path d="' + d + '"'
-           + ' fill="none"'
-           + ' stroke="' + strokeColor + '"'
-           + ' stroke-width="' + sw + '"'
-           + ' stroke-opacity="' + op + '"'
-           + ' stroke-linejoin="round"'
-           + ' stroke-linecap="round"/>';
-    });
-
-    svg += '</g></svg>';
-    return svg;
+  /** OPTION_SCHEMA check of the `palette` option: its colours (names are checked as enum values). */
+  function checkPalette(palette) {
+    if (typeof palette === 'string') return null;
+    var colors = Array.isArray(palette) ? palette : [].concat(palette.colors || [], palette.background || []);
+    return colors.every(isSafeColor) ? null : 'colours ' + SAFE_COLOR_TEXT;
   }
 
-  // ── APPLY ─────────────────────────────────────────────────────────────────
   /**
-   * Applies a waveline background to a DOM element.
-   *
-   * Two modes are available:
-   *
-   * - 'dataUrl' (default): encodes the SVG as a data URI and sets it as the
-   *   element's CSS background-image. Fast and simple; SVG is not in the DOM.
-   *
-   * - 'inline': inserts the SVG as a real DOM node inside a positioned wrapper
-   *   (position:absolute; z-index:-1), placed behind the element's content.
-   *   The element gets position:relative if it was static.
-   *   Use backgroundColor option to provide the fill; do not set a CSS
-   *   background on the container, as it would hide the SVG layer.
+   * Resolves var() references and currentColor for the canvas renderer,
+   * which cannot: from computed styles when given, else to the fallbacks
+   * (and currentColor to black).
+   * @param {string}              color
+   * @param {CSSStyleDeclaration} [style] - Computed style of the drawing element.
+   * @returns {string}
+   */
+  function resolveCssColor(color, style) {
+    var m = /^var\(\s*(--[\w-]+)\s*(?:,\s*([\s\S]*))?\)$/.exec(String(color).trim());
+    if (m) {
+      var value = style ? style.getPropertyValue(m[1]).trim() : '';
+      return resolveCssColor(value || m[2] || 'transparent', style);
+    }
+    if (/^currentcolor$/i.test(color)) return style ? style.color : '#000000';
+    return color;
+  }
+
+  /**
+   * Returns a function (idx, t) → colour for contour number idx at normalised
+   * position t ∈ [0, 1] (low → high elevation).
    *
-   * When regenerating in inline mode, remove the previous wrapper first:
-   *   var w = el.querySelector('div[style*="position: absolute"]');
-   *   if (w) w.remove();
+   * Modes:
+   * - 'level' (default): the range is split into as many equal bands as there
+   *   are colours; each contour takes the colour of its elevation band.
+   * - 'gradient': colours are interpolated linearly through the palette
+   *   (hex colours only; other CSS colours fall back to 'level').
+   * - 'cycle': contours cycle through the colours in order.
    *
-   * @param {HTMLElement} element - Target DOM element.
-   * @param {object}      options - Same options as generateWavelineSvg().
-   * @param {string}      mode    - 'dataUrl' or 'inline'. Default: 'dataUrl'.
+   * @param {string[]} colors - Palette colours.
+   * @param {string}   mode   - 'level', 'gradient' or 'cycle'.
+   * @returns {function(number, number): string}
    */
-  function applyWavelineBackground(element, options, mode) {
-    options = options || {};
-    mode    = mode || 'dataUrl';
+  function paletteColorizer(colors, mode) {
+    var n = colors.length;
+    var levelColor = function(idx, t) {
+      return colors[Math.min(n - 1, Math.floor(t * n))];
+    };
 
-    var svgString = generateWavelineSvg(options);
+    if (mode === 'cycle') {
+      return function(idx) { return colors[idx % n]; };
+    }
+    if (mode === 'gradient') {
+      var rgbs = colors.map(parseHexColor);
+      if (n < 2 || rgbs.indexOf(null) !== -1) return levelColor;
+      return function(idx, t) {
+        var pos = t * (n - 1);
+        var i   = Math.min(n - 2, Math.floor(pos));
+        var f   = pos - i;
+        return toHexColor([0, 1, 2].map(function(c) {
+          return rgbs[i][c] + (rgbs[i + 1][c] - rgbs[i][c]) * f;
+        }));
+      };
+    }
+    if (mode && mode !== 'level') {
+      throw new Error('Unknown paletteMode "' + mode + '".');
+    }
+    return levelColor;
+  }
 
-    if (mode === 'dataUrl') {
-      // Encode as a percent-encoded data URI and apply as CSS background
-      var encoded = encodeURIComponent(svgString);
-      element.style.backgroundImage    = 'url("data:image/svg+xml;charset=UTF-8,' + encoded + '")';
-      element.style.backgroundSize     = 'cover';
-      element.style.backgroundPosition = 'center';
-      element.style.backgroundRepeat   = 'no-repeat';
-    } else {
-      // Create a full-bleed absolutely positioned wrapper behind the content
-      var wrapper = document.createElement('div');
-      wrapper.style.position      = 'absolute';
-      wrapper.style.inset         = '0';        // top/right/bottom/left: 0
-      wrapper.style.zIndex        = '-1';       // behind all content
-      wrapper.style.pointerEvents = 'none';     // non-interactive
-      wrapper.style.overflow      = 'hidden';   // safety clip
+  // ── MASKS & FOCUS ─────────────────────────────────────────────────────────
+  // Defaults of the `mask` option per type. Positions and radius are
+  // fractions of the viewBox (radius: of its longer side); start/end are
+  // gradient offsets and from/to the line opacity at each end of the ramp.
+  // Both default to lines hidden at the centre or top, where content sits.
+  var MASK_DEFAULTS = {
+    radial: { x: 0.5, y: 0.5, radius: 0.6, start: 0.3, end: 1, from: 0, to: 1 },
+    linear: { angle: 90, start: 0, end: 0.6, from: 0, to: 1 }   // angle 0: left → right
+  };
 
-      wrapper.innerHTML = svgString;
+  // Defaults of each `exclude` rectangle, in fractions of the viewBox.
+  // feather: blur of the edges (fraction of the shorter side); opacity:
+  // what remains of the lines inside.
+  var EXCLUDE_DEFAULTS = { x: 0, y: 0, width: 0, height: 0, feather: 0.03, opacity: 0 };
 
-      // Make the SVG fill the wrapper exactly, without inline spacing
-      var svgEl = wrapper.querySelector('svg');
-      svgEl.style.width   = '100%';
-      svgEl.style.height  = '100%';
-      svgEl.style.display = 'block'; // remove default inline bottom gap
+  // Defaults of the `focus` option: where (fractions of the viewBox), how
+  // far (fraction of the shorter side) and how much lines concentrate
+  var FOCUS_DEFAULTS = { x: 0.5, y: 0.5, radius: 0.25, strength: 1 };
+
+  /** Rounds to 3 decimals for SVG attributes. */
+  function round3(v) {
+    return +v.toFixed(3);
+  }
 
-      // Ensure the container establishes a stacking context for the wrapper
-      var pos = window.getComputedStyle(element).position;
-      if (pos === 'static' || pos === '') element.style.position = 'relative';
+  /** Clamps v into [0, 1]. */
+  function unit(v) {
+    return Math.max(0, Math.min(1, v));
+  }
 
-      // Insert before first child so the wrapper stays at the bottom of the stack
-      element.insertBefore(wrapper, element.firstChild);
+  /** 32-bit FNV-1a hash of a string, in base 36. */
+  function hashString(text) {
+    var h = 0x811C9DC5;
+    for (var i = 0; i < text.length; i++) {
+      h = Math.imul(h ^ text.charCodeAt(i), 0x01000193);
     }
+    return (h >>> 0).toString(36);
+  }
+
+  /** True for DOM elements (which only apply() can measure). */
+  function isElement(value) {
+    return !!value && typeof value.getBoundingClientRect === 'function';
   }
 
+  /**
+   * Resolves the `mask` and `exclude` options into a scene mask in viewBox
+   * units, shared by the SVG and canvas renderers. The mask only fades the
+   * lines and bands: the background stays as it is.
+   *
+   * - mask: 'radial', 'linear' or an object { type, ...MASK_DEFAULTS[type] }.
+   * - exclude: list of rectangles { x, y, width, height, feather, opacity }
+   *   faded out with soft edges. DOM elements are measured by apply() and
+   *   skipped here.
+   *
+   * The mask id is derived from its content, so different masks never
+   * share an id when several inline SVGs are on one page.
+   *
+   * @param {object} options - Normalised options.
+   * @param {number} width   - viewBox width.
+   * @param {number} height  - viewBox height.
+   * @returns {object|null} { id, fade, holes }, or null without mask or exclusions.
+   */
+  function sceneMask(options, width, height) {
+    var spec  = typeof options.mask === 'string' ? { type: options.mask } : options.mask;
+    var fade  = null;
+    var holes = [];
+
+    if (spec) {
+      var type = spec.type || 'radial';
+      if (!MASK_DEFAULTS.hasOwnProperty(type)) {
+        throw new WavelineOptionError('mask.type', '"radial" or "linear"', spec.type);
+      }
+      var m = assign(assign({}, MASK_DEFAULTS[type]), spec);
+      fade = { type: type, start: unit(m.start), end: unit(m.end), from: unit(m.from), to: unit(m.to) };
+      if (type === 'radial') {
+        fade.cx = round3(m.x * width);
+        fade.cy = round3(m.y * height);
+        fade.r  = round3(m.radius * Math.max(width, height));
+      } else {
+        // Ramp along the angle, spanning the viewBox's projection on it
+        var dx   = Math.cos(m.angle * Math.PI / 180);
+        var dy   = Math.sin(m.angle * Math.PI / 180);
+        var half = (Math.abs(dx) * width + Math.abs(dy) * height) / 2;
+        fade.x1 = round3(width  / 2 - dx * half);
+        fade.y1 = round3(height / 2 - dy * half);
+        fade.x2 = round3(width  / 2 + dx * half);
+        fade.y2 = round3(height / 2 + dy * half);
+      }
+    }
+
+    (options.exclude || []).forEach(function(entry) {
+      if (!entry || isElement(entry) || isElement(entry.element)) return;
+      var rect = assign(assign({}, EXCLUDE_DEFAULTS), entry);
+      if (!(rect.width > 0 && rect.height > 0)) return;
+      holes.push({
+        x:       round3(rect.x * width),
+        y:       round3(rect.y * height),
+        width:   round3(rect.width  * width),
+        height:  round3(rect.height * height),
+        blur:    round3(Math.max(0, rect.feather) * Math.min(width, height) / 2),
+        opacity: unit(rect.opacity)
+      });
+    });
+
+    if (!fade && !holes.length) return null;
+    var mask = { fade: fade, holes: holes };
+    mask.id = 'wlbg-m' + hashString(JSON.stringify(mask) + width + 'x' + height);
+    return mask;
+  }
+
+  /**
+   * Serialises a scene mask as <defs> content: its gradient, one blur
+   * filter per feathered hole, and the <mask> itself.
+   * @param {object} mask   - From sceneMask().
+   * @param {number} width  - viewBox width.
+   * @param {number} height - viewBox height.
+   * @returns {string}
+   */
+  function maskToSvg(mask, width, height) {
+    var id   = mask.id;
+    var defs = '';
+    var fill = '#fff';
+    var f    = mask.fade;
+
+    if (f) {
+      var stops = '<stop offset="' + f.start + '" stop-color="#fff" stop-opacity="' + f.from + '"/>'
+                + '<stop offset="' + f.end + '" stop-color="#fff" stop-opacity="' + f.to + '"/>';
+      defs += f.type === 'radial'
+        ? '<radialGradient id="' + id + '-g" gradientUnits="userSpaceOnUse"'
+          + ' cx="' + f.cx + '" cy="' + f.cy + '" r="' + f.r + '">' + stops + '</radialGradient>'
+        : '<linearGradient id="' + id + '-g" gradientUnits="userSpaceOnUse"'
+          + ' x1="' + f.x1 + '" y1="' + f.y1 + '" x2="' + f.x2 + '" y2="' + f.y2 + '">' + stops + '</linearGradient>';
+      fill = 'url(#' + id + '-g)';
+    }
+
+    var body = '<rect width="' + width + '" height="' + height + '" fill="' + fill + '"/>';
+    mask.holes.forEach(function(hole, i) {
+      var filter = '';
+      if (hole.blur > 0) {
+        // Filter region large enough for the blur tails (3 standard deviations)
+        var pad = hole.blur * 3;
+        defs += '<filter id="' + id + '-f' + i + '" filterUnits="userSpaceOnUse"'
+              + ' x="' + round3(hole.x - pad) + '" y="' + round3(hole.y - pad) + '"'
+              + ' width="' + round3(hole.width + pad * 2) + '" height="' + round3(hole.height + pad * 2) + '">'
+              + '<feGaussianBlur stdDeviation="' + hole.blur + '"/></filter>';
+        filter = ' filter="url(#' + id + '-f' + i + ')"';
+      }
+      body += '<rect x="' + hole.x + '" y="' + hole.y + '" width="' + hole.width + '" height="' + hole.height + '"'
+            + ' fill="#000" fill-opacity="' + (1 - hole.opacity) + '"' + filter + '/>';
+    });
+
+    return defs + '<mask id="' + id + '" maskUnits="userSpaceOnUse"'
+         + ' x="0" y="0" width="' + width + '" height="' + height + '">' + body + '</mask>';
+  }
+
+  /**
+   * Fades what is drawn on ctx (already in viewBox units) like the SVG
+   * mask: keeps it in proportion to the gradient, then erases the holes.
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {object} mask   - From sceneMask().
+   * @param {number} width  - viewBox width.
+   * @param {number} height - viewBox height.
+   * @param {number} scale  - Device pixels per viewBox unit (for blur radii).
+   */
+  function drawMask(ctx, mask, width, height, scale) {
+    var f = mask.fade;
+    ctx.globalAlpha = 1;
+    if (f) {
+      var gradient = f.type === 'radial'
+        ? ctx.createRadialGradient(f.cx, f.cy, 0, f.cx, f.cy, f.r)
+        : ctx.createLinearGradient(f.x1, f.y1, f.x2, f.y2);
+      gradient.addColorStop(f.start, 'rgba(0,0,0,' + f.from + ')');
+      gradient.addColorStop(f.end,   'rgba(0,0,0,' + f.to + ')');
+      ctx.globalCompositeOperation = 'destination-in';
+      ctx.fillStyle = gradient;
+      ctx.fillRect(0, 0, width, height);
+    }
+    ctx.globalCompositeOperation = 'destination-out';
+    ctx.fillStyle = '#000';
+    mask.holes.forEach(function(hole) {
+      ctx.filter      = hole.blur > 0 ? 'blur(' + hole.blur * scale + 'px)' : 'none';
+      ctx.globalAlpha = 1 - hole.opacity;
+      ctx.fillRect(hole.x, hole.y, hole.width, hole.height);
+    });
+    ctx.filter = 'none';
+  }
+
+  /**
+   * Converts DOM elements listed in `exclude` into rectangles in fractions
+   * of the viewBox, from their position over `element`. The viewBox covers
+   * the element's padding box centred, like background-size: cover and
+   * preserveAspectRatio="xMidYMid slice". Entries can be elements or
+   * { element, feather, opacity }; other entries are kept as they are.
+   *
+   * @param {HTMLElement} element - Element holding the background.
+   * @param {object}      opts    - Options providing width, height, exclude.
+   * @returns {object[]} New exclude list without elements.
+   */
+  function measureExclusions(element, opts) {
+    var cover = coverTransform(element, opts);
+
+    return opts.exclude.map(function(entry) {
+      var target = isElement(entry) ? entry : entry && isElement(entry.element) ? entry.element : null;
+      if (!target) return entry;
+      var rect = assign({}, target === entry ? {} : entry);
+      delete rect.element;
+      if (!cover.scale) return assign(rect, { width: 0, height: 0 });
+
+      var r = target.getBoundingClientRect();
+      rect.x      = (r.left - cover.left) / cover.scale / opts.width;
+      rect.y      = (r.top  - cover.top)  / cover.scale / opts.height;
+      rect.width  = r.width  / cover.scale / opts.width;
+      rect.height = r.height / cover.scale / opts.height;
+      return rect;
+    });
+  }
+
+  /**
+   * Where the viewBox of opts lies on the page once the element covers it
+   * (preserveAspectRatio "xMidYMid slice", as in every mode): CSS pixels
+   * per viewBox unit, and the client position of the viewBox origin,
+   * cropped margins included. scale is 0 while the element has no size.
+   * @param {HTMLElement} element
+   * @param {object}      opts - Options with the rendered width and height.
+   * @returns {{scale: number, left: number, top: number}}
+   */
+  function coverTransform(element, opts) {
+    var boxW  = element.clientWidth;
+    var boxH  = element.clientHeight;
+    var box   = element.getBoundingClientRect();
+    var scale = boxW && boxH ? Math.max(boxW / opts.width, boxH / opts.height) : 0;
+    return {
+      scale: scale,
+      left:  box.left + element.clientLeft + (boxW - opts.width  * scale) / 2,
+      top:   box.top  + element.clientTop  + (boxH - opts.height * scale) / 2
+    };
+  }
+
+  /** DOM elements listed in an `exclude` option (to watch their size). */
+  function excludedElements(exclude) {
+    var elements = [];
+    (exclude || []).forEach(function(entry) {
+      if (isElement(entry)) elements.push(entry);
+      else if (entry && isElement(entry.element)) elements.push(entry.element);
+    });
+    return elements;
+  }
+
+  // ── HEIGHTMAPS ────────────────────────────────────────────────────────────
+  // Defaults of the `heightmap` option. mix: weight of the heightmap against
+  // the procedural terrain (0: terrain only, 1: heightmap only); blur: radius
+  // as a fraction of the heightmap's shorter side; x, y: centre and size:
+  // scale of the fitted heightmap, as fractions of the viewBox.
+  var HEIGHTMAP_DEFAULTS = {
+    mix: 0.5, blur: 0.04, invert: false, channel: 'auto', fit: 'contain', x: 0.5, y: 0.5, size: 1
+  };
+
+  // Resolution (longest side, px) and font of what loadHeightmap() rasterises
+  var HEIGHTMAP_RESOLUTION = 256;
+  var HEIGHTMAP_FONT       = 'bold 120px sans-serif';
+
+  // Last heightmap prepared by heightmapValues(): animation frames and
+  // layers reuse it instead of blurring the same pixels again. Keyed by the
+  // data array and the pixel data's `version`, as the pixels are not compared
+  var heightmapCache = { data: null, key: null, values: null };
+
+  /** True when a `heightmap` value holds pixel data rather than a source to rasterise. */
+  function isPixelData(spec) {
+    return !!spec && typeof spec === 'object' && spec.data !== undefined;
+  }
+
+  /**
+   * Converts pixel data into heights in [0, 1], row-major from the top-left
+   * pixel. data holds either width × height grey levels (in [0, 1], or
+   * 0-255 in a Uint8Array / Uint8ClampedArray such as a Node Buffer), or
+   * width × height × 4 RGBA bytes like ImageData. For RGBA, channel picks
+   * 'luminance', 'alpha' or 'auto': alpha as soon as one pixel is not
+   * opaque (shapes on a transparent background), luminance otherwise.
+   * Then heights are inverted if asked, and blurred. Data changed in place
+   * needs a new spec.version, or the cached heights are returned.
+   *
+   * @param {object} spec - Pixel data with the HEIGHTMAP_DEFAULTS keys.
+   * @returns {Float32Array}
+   */
+  function heightmapValues(spec) {
+    var data = spec.data;
+    var w    = spec.width;
+    var h    = spec.height;
+    var n    = w * h;
+    if (!data || typeof data.length !== 'number' || !(w >= 1 && h >= 1)
+        || Math.floor(w) !== w || Math.floor(h) !== h || (data.length !== n && data.length !== n * 4)) {
+      throw new WavelineOptionError('heightmap', 'pixel data { data, width, height }', spec,
+        '"heightmap" data must hold width × height grey levels or width × height × 4 RGBA bytes.');
+    }
+    if (['auto', 'luminance', 'alpha'].indexOf(spec.channel) < 0) {
+      throw new WavelineOptionError('heightmap.channel', '"auto", "luminance" or "alpha"', spec.channel);
+    }
+
+    var key = [w, h, spec.channel, spec.invert, spec.blur, spec.version].join();
+    if (heightmapCache.data === data && heightmapCache.key === key) return heightmapCache.values;
+
+    var values = new Float32Array(n);
+    var i;
+    if (data.length === n) {
+      var bytes = data instanceof Uint8Array || data instanceof Uint8ClampedArray;
+      for (i = 0; i < n; i++) values[i] = unit(bytes ? data[i] / 255 : +data[i] || 0);
+    } else {
+      var alpha = spec.channel === 'alpha';
+      if (spec.channel === 'auto') {
+        for (i = 0; i < n && !alpha; i++) alpha = data[i * 4 + 3] < 255;
+      }
+      for (i = 0; i < n; i++) {
+        var p = i * 4;
+        values[i] = alpha
+          ? data[p + 3] / 255
+          : (0.2126 * data[p] + 0.7152 * data[p + 1] + 0.0722 * data[p + 2]) / 255;
+      }
+    }
+    if (spec.invert) {
+      for (i = 0; i < n; i++) values[i] = 1 - values[i];
+    }
+    blurHeights(values, w, h, Math.max(0, spec.blur) * Math.min(w, h));
+
+    heightmapCache = { data: data, key: key, values: values };
+    return values;
+  }
+
+  /**
+   * Gaussian blur in place, one pass per axis, edges extended.
+   * @param {Float32Array} values
+   * @param {number}       w
+   * @param {number}       h
+   * @param {number}       sigma - Standard deviation in pixels.
+   */
+  function blurHeights(values, w, h, sigma) {
+    if (sigma < 0.5) return;
+    var radius = Math.ceil(sigma * 3);
+    var kernel = [];
+    var total  = 0;
+    for (var k = -radius; k <= radius; k++) {
+      kernel.push(Math.exp(-0.5 * k * k / (sigma * sigma)));
+      total += kernel[k + radius];
+    }
+
+    var line = new Float32Array(Math.max(w, h));
+    function pass(count, length, stride, step) {
+      for (var c = 0; c < count; c++) {
+        var base = c * stride;
+        for (var i = 0; i < length; i++) line[i] = values[base + i * step];
+        for (i = 0; i < length; i++) {
+          var sum = 0;
+          for (var k = -radius; k <= radius; k++) {
+            sum += kernel[k + radius] * line[Math.max(0, Math.min(length - 1, i + k))];
+          }
+          values[base + i * step] = sum / total;
+        }
+      }
+    }
+    pass(h, w, w, 1);   // rows
+    pass(w, h, 1, w);   // columns
+  }
+
+  /**
+   * Resolves the `heightmap` option into what generateField() samples:
+   * heights plus the rectangle they cover in field coordinates. The
+   * heightmap is fitted into the viewBox ('contain', 'cover' or 'stretch'),
+   * scaled by size and centred on (x, y).
+   *
+   * @param {object}   spec     - `heightmap` option (pixel data).
+   * @param {number}   width    - viewBox width.
+   * @param {number}   height   - viewBox height.
+   * @param {function} toFieldX - viewBox x → field x.
+   * @param {function} toFieldY - viewBox y → field y.
+   * @returns {object} { values, width, height, x, y, w, h, mix }.
+   */
+  function placeHeightmap(spec, width, height, toFieldX, toFieldY) {
+    if (!isPixelData(spec)) {
+      throw new WavelineOptionError('heightmap', 'pixel data { data, width, height }', spec,
+        '"heightmap" images, text and SVG must be rasterised with loadHeightmap() first'
+        + ' (apply() does it by itself).');
+    }
+    // Pixel data may be ImageData, whose fields are not own properties
+    var hm = {};
+    Object.keys(HEIGHTMAP_DEFAULTS).forEach(function(key) {
+      hm[key] = spec[key] !== undefined ? spec[key] : HEIGHTMAP_DEFAULTS[key];
+    });
+    hm.data    = spec.data;
+    hm.width   = spec.width;
+    hm.height  = spec.height;
+    hm.version = spec.version;
+
+    var w, h;
+    if (hm.fit === 'stretch') {
+      w = width;
+      h = height;
+    } else if (hm.fit === 'contain' || hm.fit === 'cover') {
+      var k = (hm.fit === 'cover' ? Math.max : Math.min)(width / hm.width, height / hm.height);
+      w = hm.width  * k;
+      h = hm.height * k;
+    } else {
+      throw new WavelineOptionError('heightmap.fit', '"contain", "cover" or "stretch"', hm.fit);
+    }
+    var left = hm.x * width  - w * hm.size / 2;
+    var top  = hm.y * height - h * hm.size / 2;
+
+    return {
+      values: heightmapValues(hm),
+      width:  hm.width,
+      height: hm.height,
+      x:      toFieldX(left),
+      y:      toFieldY(top),
+      w:      toFieldX(left + w * hm.size) - toFieldX(left),
+      h:      toFieldY(top  + h * hm.size) - toFieldY(top),
+      mix:    unit(hm.mix)
+    };
+  }
+
+  /**
+   * Height of a placed heightmap at a field position, bilinearly
+   * interpolated, edges extended beyond its rectangle.
+   * @param {object} map - From placeHeightmap().
+   * @param {number} nx
+   * @param {number} ny
+   * @returns {number} In [0, 1].
+   */
+  function sampleHeightmap(map, nx, ny) {
+    var px = Math.max(0, Math.min(map.width  - 1, (nx - map.x) / map.w * map.width  - 0.5));
+    var py = Math.max(0, Math.min(map.height - 1, (ny - map.y) / map.h * map.height - 0.5));
+    var x0 = Math.floor(px), x1 = Math.min(x0 + 1, map.width  - 1);
+    var y0 = Math.floor(py), y1 = Math.min(y0 + 1, map.height - 1);
+    var tx = px - x0, ty = py - y0;
+    var v  = map.values;
+    var top    = v[y0 * map.width + x0] + (v[y0 * map.width + x1] - v[y0 * map.width + x0]) * tx;
+    var bottom = v[y1 * map.width + x0] + (v[y1 * map.width + x1] - v[y1 * map.width + x0]) * tx;
+    return top + (bottom - top) * ty;
+  }
+
+  /**
+   * Rasterises an image, text or SVG into pixel data for the `heightmap`
+   * option (browser only). Sources, as a `heightmap` value:
+   *
+   * - { image }: URL (same-origin or CORS-enabled) or a drawable: <img>,
+   *   <canvas>, <svg>, ImageBitmap... A string or element alone is an image.
+   * - { text, font }: text drawn in the font (default HEIGHTMAP_FONT), one
+   *   line per '\n', on a transparent background.
+   * - { svg }: SVG markup.
+   *
+   * Other keys (mix, blur...) are kept in the result, which can be passed
+   * as `heightmap` to generateSvg() or saved for headless builds.
+   *
+   * @param {object|string|Element} source
+   * @param {object} [loadOpts] - { resolution: longest side in px (default 256) }.
+   * @returns {Promise<object>} { data (RGBA bytes), width, height, ...other keys }.
+   */
+  function loadHeightmap(source, loadOpts) {
+    var resolution = (loadOpts && loadOpts.resolution) || HEIGHTMAP_RESOLUTION;
+    var spec = typeof source === 'string' || isElement(source) ? { image: source } : assign({}, source);
+
+    return new Promise(function(resolve) {
+      if (typeof document === 'undefined') {
+        throw new Error('loadHeightmap() needs a browser; pass pixel data as `heightmap` instead.');
+      }
+      if (spec.text !== undefined) resolve(textCanvas(String(spec.text), spec.font || HEIGHTMAP_FONT));
+      else if (spec.svg !== undefined) resolve(loadImage(svgDataUrl(spec.svg)));
+      else if (typeof spec.image === 'string') resolve(loadImage(spec.image));
+      else if (spec.image && spec.image.tagName && spec.image.tagName.toLowerCase() === 'svg') {
+        resolve(loadImage(svgDataUrl(new XMLSerializer().serializeToString(spec.image))));
+      } else if (spec.image && spec.image.tagName === 'IMG' && !spec.image.complete) {
+        resolve(loadImage(spec.image.currentSrc || spec.image.src));
+      } else if (spec.image) resolve(spec.image);
+      else throw new Error('loadHeightmap() expects an image, { image }, { text } or { svg }.');
+    }).then(function(drawable) {
+      // Fit into resolution × resolution, keeping the aspect ratio
+      var srcW = drawable.naturalWidth  || drawable.width  || resolution;
+      var srcH = drawable.naturalHeight || drawable.height || resolution;
+      var k    = resolution / Math.max(srcW, srcH);
+      var w    = Math.max(1, Math.round(srcW * k));
+      var h    = Math.max(1, Math.round(srcH * k));
+      var ctx  = createCanvas(w, h).getContext('2d');
+      ctx.drawImage(drawable, 0, 0, w, h);
+
+      var map = assign({}, spec);
+      delete map.image;
+      delete map.text;
+      delete map.font;
+      delete map.svg;
+      map.data   = ctx.getImageData(0, 0, w, h).data;
+      map.width  = w;
+      map.height = h;
+      return map;
+    });
+  }
+
+  /** Loads an image URL; resolves to the <img>. */
+  function loadImage(url) {
+    return new Promise(function(resolve, reject) {
+      var img = new Image();
+      if (!/^(data|blob):/.test(url)) img.crossOrigin = 'anonymous';
+      img.onload  = function() { resolve(img); };
+      img.onerror = function() { reject(new Error('Could not load heightmap image "' + url + '".')); };
+      img.src = url;
+    });
+  }
+
+  /** SVG markup as a data URI an <img> can load. */
+  function svgDataUrl(markup) {
+    return 'data:image/svg+xml;charset=UTF-8,' + encodeURIComponent(markup);
+  }
+
+  /**
+   * Draws text in white on a transparent canvas just large enough for it,
+   * with a margin of half a line for the blur. Waits for the font to load.
+   * @param {string} text
+   * @param {string} font - CSS font shorthand.
+   * @returns {Promise<HTMLCanvasElement|OffscreenCanvas>}
+   */
+  function textCanvas(text, font) {
+    var fontsReady = document.fonts && document.fonts.load ? document.fonts.load(font, text) : Promise.resolve();
+    return fontsReady.then(function() {
+      var lines   = text.split('\n');
+      var measure = createCanvas(1, 1).getContext('2d');
+      measure.font = font;
+      var lineH = parseFloat((/(\d+(?:\.\d+)?)px/.exec(font) || [])[1]) || 100;
+      var textW = Math.max.apply(null, lines.map(function(line) { return measure.measureText(line).width; }));
+
+      var canvas = createCanvas(Math.ceil(textW + lineH), Math.ceil(lineH * (lines.length * 1.2 + 1)));
+      var ctx    = canvas.getContext('2d');
+      ctx.font         = font;
+      ctx.fillStyle    = '#fff';
+      ctx.textAlign    = 'center';
+      ctx.textBaseline = 'middle';
+      lines.forEach(function(line, i) {
+        ctx.fillText(line, canvas.width / 2, lineH * (1.1 + i * 1.2));
+      });
+      return canvas;
+    });
+  }
+
+  // ── CONTOURS ──────────────────────────────────────────────────────────────
+  // Built-in marching squares, used unless a d3-contour backend is injected.
+  // It follows d3-contour step for step (same cell traversal, stitching,
+  // smoothing and hole assignment), so both produce the same rings, starting
+  // at the same points, and the SVG output does not depend on the backend.
+  //
+  // Grid sample (i, j) sits at (i + 0.5, j + 0.5); cell (x, y) spans the
+  // samples x..x+1 and y..y+1, with cells on a one-sample border of "below"
+  // values around the grid so every ring closes.
+
+  // Isoline segments across a cell, per corner configuration. Bits:
+  // 1 = (x, y+1), 2 = (x+1, y+1), 4 = (x+1, y), 8 = (x, y) set when the
+  // sample is above the threshold. Points are relative to the cell, on the
+  // midpoints of its edges; segments keep the region above on one side.
+  var CELL_SEGMENTS = [
+    [],
+    [[1.0, 1.5, 0.5, 1.0]],
+    [[1.5, 1.0, 1.0, 1.5]],
+    [[1.5, 1.0, 0.5, 1.0]],
+    [[1.0, 0.5, 1.5, 1.0]],
+    [[1.0, 1.5, 0.5, 1.0], [1.0, 0.5, 1.5, 1.0]],
+    [[1.0, 0.5, 1.0, 1.5]],
+    [[1.0, 0.5, 0.5, 1.0]],
+    [[0.5, 1.0, 1.0, 0.5]],
+    [[1.0, 1.5, 1.0, 0.5]],
+    [[0.5, 1.0, 1.0, 0.5], [1.5, 1.0, 1.0, 1.5]],
+    [[1.5, 1.0, 1.0, 0.5]],
+    [[0.5, 1.0, 1.5, 1.0]],
+    [[1.0, 1.5, 1.5, 1.0]],
+    [[0.5, 1.0, 1.0, 1.5]],
+    []
+  ];
+
+  /**
+   * Traces the closed rings of the region where values >= threshold, with
+   * points on cell edge midpoints (before smoothing). Segments are chained
+   * into fragments as cells are visited; a fragment is reported once its
+   * ends meet. Fragment ends are looked up by point in two Int32Array
+   * tables (fragment index + 1, 0 for none) instead of hash maps.
+   *
+   * @param {Float64Array} values - dx × dy samples, row-major.
+   * @param {number}       dx
+   * @param {number}       dy
+   * @param {number}       threshold
+   * @param {Uint8Array}   above   - Scratch, (dx + 2) × (dy + 2).
+   * @param {object}       tables  - Scratch { byStart, byEnd }, see contourer().
+   * @param {function(number[][])} onRing
+   */
+  function traceRings(values, dx, dy, threshold, above, tables, onRing) {
+    var pw        = dx + 2;            // padded row width
+    var stride    = dx * 2 + 3;        // point key row width (half-cell steps)
+    var byStart   = tables.byStart;
+    var byEnd     = tables.byEnd;
+    var fragments = [];
+    var x, y;
+
+    byStart.fill(0);
+    byEnd.fill(0);
+    for (y = 0; y < dy; y++) {
+      for (x = 0; x < dx; x++) {
+        above[(y + 1) * pw + x + 1] = values[y * dx + x] >= threshold ? 1 : 0;
+      }
+    }
+
+    // Edge midpoints are multiples of 0.5 from -0.5 up to dx + 0.5
+    function key(px, py) {
+      return (px * 2 + 1) + (py * 2 + 1) * stride;
+    }
+
+    function add(seg) {
+      var start = [seg[0] + x, seg[1] + y];
+      var end   = [seg[2] + x, seg[3] + y];
+      var sk = key(start[0], start[1]), ek = key(end[0], end[1]);
+      var f, g;
+
+      if ((f = byEnd[sk])) {
+        // Extends a fragment ending here: append, maybe joining another one
+        f = fragments[f - 1];
+        byEnd[f.end] = 0;
+        if ((g = byStart[ek])) {
+          g = fragments[g - 1];
+          byStart[g.start] = 0;
+          if (f === g) {
+            f.ring.push(end);
+            onRing(f.ring);
+          } else {
+            link({ start: f.start, end: g.end, ring: f.ring.concat(g.ring) });
+          }
+        } else {
+          f.ring.push(end);
+          f.end = ek;
+          byEnd[ek] = f.id;
+        }
+      } else if ((f = byStart[ek])) {
+        // Extends a fragment starting here: prepend, maybe joining another one
+        f = fragments[f - 1];
+        byStart[f.start] = 0;
+        if ((g = byEnd[sk])) {
+          g = fragments[g - 1];
+          byEnd[g.end] = 0;
+          if (f === g) {
+            f.ring.push(end);
+            onRing(f.ring);
+          } else {
+            link({ start: g.start, end: f.end, ring: g.ring.concat(f.ring) });
+          }
+        } else {
+          f.ring.unshift(start);
+          f.start = sk;
+          byStart[sk] = f.id;
+        }
+      } else {
+        link({ start: sk, end: ek, ring: [start, end] });
+      }
+    }
+
+    function link(fragment) {
+      fragments.push(fragment);
+      fragment.id = fragments.length;
+      byStart[fragment.start] = byEnd[fragment.end] = fragment.id;
+    }
+
+    for (y = -1; y < dy; y++) {
+      for (x = -1; x < dx; x++) {
+        var i = (y + 1) * pw + x + 1;   // padded index of sample (x, y)
+        var code = above[i + pw] | above[i + pw + 1] << 1 | above[i + 1] << 2 | above[i] << 3;
+        var segs = CELL_SEGMENTS[code];
+        for (var s = 0; s < segs.length; s++) add(segs[s]);
+      }
+    }
+  }
+
+  /**
+   * Moves ring points from edge midpoints to where the threshold is
+   * crossed, by linear interpolation between the two samples of the edge
+   * (d3-contour's smooth(true)). Points on the grid border stay put.
+   */
+  function smoothRing(ring, values, dx, dy, threshold) {
+    for (var k = 0; k < ring.length; k++) {
+      var point = ring[k];
+      var x = point[0], y = point[1];
+      var xt = x | 0, yt = y | 0;
+      var v1 = values[yt * dx + xt], v0;
+      if (x > 0 && x < dx && xt === x) {
+        v0 = values[yt * dx + xt - 1];
+        point[0] = x + (threshold - v0) / (v1 - v0) - 0.5;
+      }
+      if (y > 0 && y < dy && yt === y) {
+        v0 = values[(yt - 1) * dx + xt];
+        point[1] = y + (threshold - v0) / (v1 - v0) - 0.5;
+      }
+    }
+  }
+
+  /** Twice the signed area of a ring: positive for exteriors, negative for holes. */
+  function ringDoubleArea(ring) {
+    var n    = ring.length;
+    var area = ring[n - 1][1] * ring[0][0] - ring[n - 1][0] * ring[0][1];
+    for (var i = 1; i < n; i++) area += ring[i - 1][1] * ring[i][0] - ring[i - 1][0] * ring[i][1];
+    return area;
+  }
+
+  /**
+   * Even-odd test of a point against a ring.
+   * @returns {number} 1 inside, -1 outside, 0 on the boundary.
+   */
+  function ringContains(ring, point) {
+    var x = point[0], y = point[1], inside = -1;
+    for (var i = 0, n = ring.length, j = n - 1; i < n; j = i++) {
+      var a = ring[i], b = ring[j];
+      if (onSegment(a, b, point)) return 0;
+      if ((a[1] > y) !== (b[1] > y) && x < (b[0] - a[0]) * (y - a[1]) / (b[1] - a[1]) + a[0]) inside = -inside;
+    }
+    return inside;
+  }
+
+  /** True when c lies on segment [a, b] (exactly collinear and between them). */
+  function onSegment(a, b, c) {
+    if ((b[0] - a[0]) * (c[1] - a[1]) !== (c[0] - a[0]) * (b[1] - a[1])) return false;
+    var i = +(a[0] === b[0]);
+    return (a[i] <= c[i] && c[i] <= b[i]) || (b[i] <= c[i] && c[i] <= a[i]);
+  }
+
+  /**
+   * Where a hole lies relative to an exterior ring: decided by its first
+   * point that is not on the exterior's boundary.
+   * @returns {number} 1 inside, -1 outside, 0 if every point is on the boundary.
+   */
+  function holeInside(exterior, hole) {
+    for (var i = 0; i < hole.length; i++) {
+      var c = ringContains(exterior, hole[i]);
+      if (c) return c;
+    }
+    return 0;
+  }
+
+  /**
+   * Contour generator with the subset of the d3.contours() interface used
+   * by buildScene(): size(), smooth() and thresholds() with an array.
+   * @returns {function(number[]): object[]} Generator returning one
+   *          { type: 'MultiPolygon', value, coordinates } per threshold.
+   */
+  function contourer() {
+    var dx = 1, dy = 1, smooth = true, levels = [];
+
+    function contours(input) {
+      var values = Float64Array.from(input);
+      var above  = new Uint8Array((dx + 2) * (dy + 2));
+      var size   = (dx * 2 + 3) * (dy * 2 + 3);
+      var tables = { byStart: new Int32Array(size), byEnd: new Int32Array(size) };
+
+      return levels.slice().sort(function(a, b) { return a - b; }).map(function(threshold) {
+        var polygons = [], holes = [];
+        traceRings(values, dx, dy, threshold, above, tables, function(ring) {
+          if (smooth) smoothRing(ring, values, dx, dy, threshold);
+          if (ringDoubleArea(ring) > 0) polygons.push([ring]);
+          else holes.push(ring);
+        });
+        // Each hole goes to the first exterior that contains it
+        holes.forEach(function(hole) {
+          for (var i = 0; i < polygons.length; i++) {
+            if (holeInside(polygons[i][0], hole) !== -1) {
+              polygons[i].push(hole);
+              return;
+            }
+          }
+        });
+        return { type: 'MultiPolygon', value: threshold, coordinates: polygons };
+      });
+    }
+
+    contours.size = function(size) {
+      dx = Math.floor(size[0]);
+      dy = Math.floor(size[1]);
+      if (!(dx >= 0 && dy >= 0)) throw new Error('Invalid contour grid size.');
+      return contours;
+    };
+    contours.smooth = function(value) {
+      smooth = !!value;
+      return contours;
+    };
+    contours.thresholds = function(values) {
+      levels = values.slice();
+      return contours;
+    };
+    return contours;
+  }
+
+  // Default backend, shaped like the d3-contour module
+  var BUILTIN_CONTOURS = { contours: contourer };
+
+  // ── CONTOUR BACKEND ───────────────────────────────────────────────────────
+  /**
+   * Returns the contour implementation to use, in order of preference:
+   * the `d3` option, the module given to useD3(), then the built-in one.
+   * A page-level `d3` global is not picked up: it gives the same output.
+   * @param {object} [explicit] - Value of the `d3` option.
+   * @returns {{contours: function}}
+   */
+  function resolveD3(explicit) {
+    if (explicit && typeof explicit.contours !== 'function') {
+      throw new WavelineOptionError('d3', 'd3 or d3-contour (an object with contours())', explicit);
+    }
+    return explicit || d3Contour || BUILTIN_CONTOURS;
+  }
+
+  /**
+   * Sets the d3-contour module used by generateSvg() when no `d3` option is
+   * given, e.g. WavelineBG.useD3(require('d3-contour')) or, with ES modules,
+   * WavelineBG.useD3({ contours: contours }). useD3(null) goes back to the
+   * built-in contourer.
+   * @param {{contours: function}|null} lib - Any object exposing contours().
+   */
+  function useD3(lib) {
+    if (lib !== null && (!lib || typeof lib.contours !== 'function')) {
+      throw new Error('useD3() expects d3 or d3-contour (an object with contours()), or null.');
+    }
+    d3Contour = lib;
+  }
+
+  // ── OPTIONS ───────────────────────────────────────────────────────────────
+  // Keys of the `theme` option: options laid over the others in each scheme
+  var THEME_SCHEMES = ['light', 'dark'];
+
+  // CSS mix-blend-mode values accepted by the `blend` option
+  var BLEND_MODES = [
+    'normal', 'multiply', 'screen', 'overlay', 'darken', 'lighten', 'color-dodge', 'color-burn',
+    'hard-light', 'soft-light', 'difference', 'exclusion', 'hue', 'saturation', 'color', 'luminosity'
+  ];
+
+  /**
+   * Every option with its default and allowed values. Shared by buildScene()
+   * (defaults), declarative markup (attribute parsing) and option checks, so
+   * HTML attributes and the JS API always agree.
+   *
+   * - type: 'number', 'integer', 'boolean', 'string', 'enum', 'array' or
+   *   'object' (the last one cannot be given as an attribute)
+   * - def: default value (undefined: computed, e.g. a random seed)
+   * - min / max: inclusive bounds; minExclusive excludes min itself
+   * - values: allowed strings for 'enum' (or a function returning them)
+   * - also: another JS type the API accepts, e.g. 'function' for a custom field
+   * - check: extra test of a value of the right type, returning what the
+   *   option accepts when the value fails it, else null
+   */
+  var OPTION_SCHEMA = {
+    width:           { type: 'number',  def: 100,   min: 0, minExclusive: true },
+    height:          { type: 'number',  def: 56.25, min: 0, minExclusive: true },
+    gridWidth:       { type: 'integer', def: 160,   min: 2 },
+    gridHeight:      { type: 'integer', def: 90,    min: 2 },
+    density:         { type: 'integer', def: 10,    min: 1 },
+    freq:            { type: 'number',  def: 5,     min: 0, minExclusive: true },
+    amplitude:       { type: 'number',  def: 1.0,   min: 0, minExclusive: true },
+    strokeMin:       { type: 'number',  def: 0.16,  min: 0 },
+    strokeMax:       { type: 'number',  def: 0.26,  min: 0 },
+    opacityMin:      { type: 'number',  def: 0.5,   min: 0, max: 1 },
+    opacityMax:      { type: 'number',  def: 1.0,   min: 0, max: 1 },
+    ramp:            { type: 'enum',    def: 'index', values: ['index', 'elevation'] },
+    strokeEasing:    { type: 'enum',    def: 'linear', values: Object.keys(EASINGS), also: 'function' },
+    opacityEasing:   { type: 'enum',    def: 'linear', values: Object.keys(EASINGS), also: 'function' },
+    indexEvery:      { type: 'integer', def: 0,     min: 0 },   // 0: no index contours
+    indexWidth:      { type: 'number',  def: 2,     min: 0 },   // × the line's stroke width
+    indexOpacity:    { type: 'number',  def: 1,     min: 0, max: 1 },
+    indexColor:      { type: 'string',  def: undefined, check: checkColor },   // the line's colour
+    dash:            { type: 'array',   def: undefined, check: checkDash },   // see dashPattern
+    jitter:          { type: 'number',  def: 0,     min: 0 },   // viewBox units, see jitterer
+    bias:            { type: 'number',  def: 0,     min: -1, max: 1 },
+    seed:            { type: 'integer', def: undefined, min: 0, max: 4294967295 },
+    time:            { type: 'number',  def: 0 },
+    keepAspect:      { type: 'boolean', def: false },
+    tileable:        { type: 'boolean', def: false },
+    scale:           { type: 'number',  def: 1,     min: 0, minExclusive: true },   // > 1: larger features
+    field:           { type: 'enum',    def: 'sine', values: ['sine', 'perlin', 'simplex', 'fbm', 'ridged'], also: 'function' },
+    octaves:         { type: 'integer', def: undefined, min: 1, max: 16 },
+    lacunarity:      { type: 'number',  def: 2.0,   min: 0, minExclusive: true },
+    persistence:     { type: 'number',  def: 0.5,   min: 0 },
+    bumps:           { type: 'array',   def: undefined },
+    fieldOffset:     { type: 'array',   def: undefined },
+    focus:           { type: 'boolean', def: false, also: 'object' },   // see FOCUS_DEFAULTS
+    mask:            { type: 'enum',    def: undefined, values: ['radial', 'linear'], also: 'object' },
+    exclude:         { type: 'array',   def: undefined },   // see EXCLUDE_DEFAULTS
+    heightmap:       { type: 'string',  def: undefined, also: 'object' },   // image URL, or see HEIGHTMAP_DEFAULTS
+    style:           { type: 'enum',    def: 'lines', values: ['lines', 'bands', 'both'] },
+    bandOpacityMin:  { type: 'number',  def: 0.08,  min: 0, max: 1 },
+    bandOpacityMax:  { type: 'number',  def: 0.4,   min: 0, max: 1 },
+    strokeColor:     { type: 'string',  def: '#888888', check: checkColor },
+    backgroundColor: { type: 'string',  def: undefined, check: checkColor },   // transparent, or the palette's
+    palette:         { type: 'enum',    def: undefined, values: function() { return Object.keys(PALETTES); }, also: 'object',
+                       check: checkPalette },
+    paletteMode:     { type: 'enum',    def: 'level', values: ['level', 'gradient', 'cycle'] },
+    colorSeed:       { type: 'integer', def: undefined, min: 0, max: 4294967295 },
+    cssVars:         { type: 'boolean', def: false },   // colours as var(--waveline-*, colour)
+    precision:       { type: 'integer', def: DEFAULT_PATH_OPTIONS.precision, min: 0, max: 6 },
+    relative:        { type: 'boolean', def: DEFAULT_PATH_OPTIONS.relative },
+    curve:           { type: 'enum',    def: DEFAULT_PATH_OPTIONS.curve, values: ['linear', 'catmull-rom'] },
+    simplify:        { type: 'number',  def: DEFAULT_PATH_OPTIONS.simplify, min: 0 },
+    simplifyMethod:  { type: 'enum',    def: DEFAULT_PATH_OPTIONS.simplifyMethod, values: ['rdp', 'visvalingam'] },
+    minArea:         { type: 'number',  def: DEFAULT_PATH_OPTIONS.minArea, min: 0 },
+    maxBytes:        { type: 'integer', def: 0,     min: 0 },
+    d3:              { type: 'object',  def: undefined },
+    d3Url:           { type: 'string',  def: undefined },
+    strict:          { type: 'boolean', def: false },   // throw instead of repairing
+    // Composition (see buildLayeredScene); opacity and blend apply per layer
+    layers:          { type: 'array',   def: undefined },
+    opacity:         { type: 'number',  def: 1,     min: 0, max: 1 },
+    blend:           { type: 'enum',    def: 'normal', values: BLEND_MODES },
+    // apply() only
+    autoSize:        { type: 'boolean', def: false, also: 'object' },
+    interactive:     { type: 'boolean', def: false, also: 'object' },
+    async:           { type: 'boolean', def: false },
+    tileSize:        { type: 'number',  def: 400,   min: 0, minExclusive: true },   // CSS px, tileable dataUrl
+    theme:           { type: 'object',  def: undefined },   // see THEME_SCHEMES
+    // Registered preset used as a base (see registerPreset)
+    preset:          { type: 'enum',    def: undefined, values: function() { return Object.keys(PRESETS); } }
+  };
+
+  // Defaults alone, e.g. DEFAULTS.density
+  var DEFAULTS = {};
+  Object.keys(OPTION_SCHEMA).forEach(function(name) { DEFAULTS[name] = OPTION_SCHEMA[name].def; });
+
+  /**
+   * Describes the values an option accepts, for messages:
+   * e.g. 'an integer >= 1', 'a number in [0, 1]', 'one of "lines", "bands"'.
+   * @param {object} spec - OPTION_SCHEMA entry.
+   * @returns {string}
+   */
+  function describeOption(spec) {
+    var text;
+    if (spec.type === 'enum') {
+      var values = typeof spec.values === 'function' ? spec.values() : spec.values;
+      text = 'one of ' + values.map(function(v) { return '"' + v + '"'; }).join(', ');
+    } else if (spec.type === 'number' || spec.type === 'integer') {
+      text = spec.type === 'number' ? 'a number' : 'an integer';
+      if (spec.min !== undefined && spec.max !== undefined) {
+        text += ' in ' + (spec.minExclusive ? '(' : '[') + spec.min + ', ' + spec.max + ']';
+      } else if (spec.min !== undefined) {
+        text += (spec.minExclusive ? ' > ' : ' >= ') + spec.min;
+      } else if (spec.max !== undefined) {
+        text += ' <= ' + spec.max;
+      }
+    } else {
+      text = { boolean: 'true or false', string: 'a string', array: 'an array', object: 'an object' }[spec.type];
+    }
+    if (spec.also) text += ' or ' + (spec.also === 'object' ? 'an object' : 'a ' + spec.also);
+    return text;
+  }
+
+  /**
+   * Checks one option value against OPTION_SCHEMA.
+   * @param {string} name
+   * @param {*}      value
+   * @returns {string|null} What the option expects when value is invalid,
+   *                        null when it is valid, undefined or unknown.
+   */
+  function checkOption(name, value) {
+    var spec = OPTION_SCHEMA[name];
+    if (!spec || value === undefined) return null;
+    if (spec.also && typeof value === spec.also && value !== null) return spec.check ? spec.check(value) : null;
+
+    var ok;
+    switch (spec.type) {
+      case 'number':
+      case 'integer':
+        ok = typeof value === 'number' && isFinite(value)
+          && (spec.type === 'number' || Math.floor(value) === value)
+          && (spec.min === undefined || (spec.minExclusive ? value > spec.min : value >= spec.min))
+          && (spec.max === undefined || value <= spec.max);
+        break;
+      case 'enum':
+        ok = (typeof spec.values === 'function' ? spec.values() : spec.values).indexOf(value) >= 0;
+        break;
+      case 'array':
+        ok = Array.isArray(value);
+        break;
+      case 'object':
+        ok = !!value && typeof value === 'object';
+        break;
+      default:
+        ok = typeof value === spec.type;
+    }
+    if (!ok) return describeOption(spec);
+    return spec.check ? spec.check(value) : null;
+  }
+
+  // Options that must not decrease from the first to the second
+  var OPTION_PAIRS = [
+    ['strokeMin', 'strokeMax'], ['opacityMin', 'opacityMax'], ['bandOpacityMin', 'bandOpacityMax']
+  ];
+
+  /**
+   * Error thrown for an invalid option (always in strict mode; in lenient
+   * mode only when a value cannot be repaired, e.g. a d3 without contours()).
+   *
+   * @param {string} option   - Option name, e.g. 'density'.
+   * @param {string} range    - What the option accepts, e.g. 'an integer >= 1'.
+   * @param {*}      value    - The value that was given.
+   * @param {string} [message]
+   */
+  function WavelineOptionError(option, range, value, message) {
+    this.name    = 'WavelineOptionError';
+    this.option  = option;
+    this.range   = range;
+    this.value   = value;
+    this.message = message || '"' + option + '" must be ' + range + ', got ' + formatValue(value) + '.';
+    if (Error.captureStackTrace) Error.captureStackTrace(this, WavelineOptionError);
+    else this.stack = new Error(this.message).stack;
+  }
+  WavelineOptionError.prototype = Object.create(Error.prototype);
+  WavelineOptionError.prototype.constructor = WavelineOptionError;
+
+  /** Short readable form of an option value, for messages. */
+  function formatValue(value) {
+    if (typeof value === 'function') return 'a function';
+    if (typeof value === 'string') return '"' + value + '"';
+    try { return JSON.stringify(value) || String(value); } catch (e) { return String(value); }
+  }
+
+  /**
+   * Checks every known option without changing anything.
+   * Also checks that each OPTION_PAIRS minimum does not exceed its maximum.
+   * Unknown keys are ignored (apply() and animate() add their own).
+   *
+   * @param {object} options
+   * @returns {WavelineOptionError[]} Empty when the options are valid.
+   */
+  function validateOptions(options) {
+    options = options || {};
+    var errors = [];
+    Object.keys(OPTION_SCHEMA).forEach(function(name) {
+      var range = checkOption(name, options[name]);
+      if (range) errors.push(new WavelineOptionError(name, range, options[name]));
+    });
+    OPTION_PAIRS.forEach(function(pair) {
+      var invalid = errors.some(function(err) { return err.option === pair[0] || err.option === pair[1]; });
+      var error   = !invalid && checkPair(pair, options);
+      if (error) errors.push(error);
+    });
+    // Each layer, reported as e.g. "layers[1].density"
+    if (Array.isArray(options.layers)) options.layers.forEach(function(layer, index) {
+      validateNested(options, layer, 'layers[' + index + ']', errors);
+    });
+    // Theme overrides likewise, e.g. "theme.dark.palette"
+    if (options.theme && typeof options.theme === 'object') THEME_SCHEMES.forEach(function(scheme) {
+      var nested = options.theme[scheme];
+      if (nested !== undefined) validateNested(options, nested, 'theme.' + scheme, errors);
+    });
+    return errors;
+  }
+
+  /**
+   * Validates nested options (a layer, a theme), prefixing their errors.
+   * Values are checked on their own, but OPTION_PAIRS against the options
+   * they are laid over: a layer's strokeMin only has to stay below the
+   * strokeMax it ends up with. Pairs the nested options leave alone are
+   * the parent's business.
+   */
+  function validateNested(parent, nested, prefix, errors) {
+    if (!nested || typeof nested !== 'object') {
+      errors.push(new WavelineOptionError(prefix, 'an object', nested));
+      return;
+    }
+    var nestedErrors = [];
+    Object.keys(OPTION_SCHEMA).forEach(function(name) {
+      var range = checkOption(name, nested[name]);
+      if (range) nestedErrors.push(new WavelineOptionError(name, range, nested[name]));
+    });
+    var merged = assign(assign({}, parent), nested);
+    OPTION_PAIRS.forEach(function(pair) {
+      if (nested[pair[0]] === undefined && nested[pair[1]] === undefined) return;
+      var invalid = pair.some(function(name) { return checkOption(name, merged[name]); });
+      var error   = !invalid && checkPair(pair, merged);
+      if (error) nestedErrors.push(error);
+    });
+    nestedErrors.forEach(function(err) {
+      errors.push(new WavelineOptionError(prefix + '.' + err.option, err.range, err.value));
+    });
+  }
+
+  /**
+   * @returns {WavelineOptionError|null} Error when pair[0] > pair[1],
+   *                                     defaults filling missing values.
+   */
+  function checkPair(pair, options) {
+    var lo = options[pair[0]] !== undefined ? options[pair[0]] : DEFAULTS[pair[0]];
+    var hi = options[pair[1]] !== undefined ? options[pair[1]] : DEFAULTS[pair[1]];
+    return lo > hi ? new WavelineOptionError(pair[1], '>= ' + pair[0] + ' (' + lo + ')', hi) : null;
+  }
+
+  /**
+   * Lenient replacement for an invalid value: numbers (numeric strings
+   * included) are rounded for integers and clamped into range; anything
+   * else falls back to the default. Below an exclusive minimum (e.g. a
+   * width of 0) the default is used too, as `0` always meant "default".
+   */
+  function repairOption(name, value) {
+    var spec = OPTION_SCHEMA[name];
+    var num  = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if ((spec.type !== 'number' && spec.type !== 'integer') || typeof num !== 'number' || !isFinite(num)) {
+      return spec.def;
+    }
+    if (spec.type === 'integer') num = Math.round(num);
+    if (spec.max !== undefined && num > spec.max) num = spec.max;
+    if (spec.min !== undefined && (num < spec.min || (spec.minExclusive && num === spec.min))) {
+      num = spec.minExclusive ? spec.def : spec.min;
+    }
+    return num;
+  }
+
+  /**
+   * Returns the fully resolved configuration: every option in OPTION_SCHEMA
+   * set to its given or default value, and the seed chosen (random when
+   * omitted). A `preset` is expanded under the given options, and a string
+   * is taken as a preset name. Unknown keys are kept as they are.
+   *
+   * Invalid values throw a WavelineOptionError with `strict: true`.
+   * Otherwise (lenient, the default) they are repaired, see repairOption,
+   * or a maximum below its minimum is raised to it, with a console warning.
+   *
+   * @param {object|string} options - Options, or a preset name.
+   * @returns {object} New options object; the input is not modified.
+   */
+  function normalizeOptions(options) {
+    if (typeof options === 'string') options = { preset: options };
+    options = expandPreset(options || {});
+    var strict   = options.strict === true;
+    var resolved = assign({}, options);
+
+    function report(err, fixed) {
+      if (strict) throw err;
+      warn(err.message + ' Using ' + formatValue(fixed) + '.');
+    }
+
+    Object.keys(OPTION_SCHEMA).forEach(function(name) {
+      var value = options[name];
+      var range = checkOption(name, value);
+      if (range) {
+        var fixed = repairOption(name, value);
+        report(new WavelineOptionError(name, range, value), fixed);
+        value = fixed;
+      }
+      resolved[name] = value !== undefined ? value : DEFAULTS[name];
+    });
+
+    OPTION_PAIRS.forEach(function(pair) {
+      var err = checkPair(pair, resolved);
+      if (!err) return;
+      report(err, resolved[pair[0]]);
+      resolved[pair[1]] = resolved[pair[0]];
+    });
+
+    // Group opacity and blend belong to layers; a single scene has no group
+    if (!Array.isArray(resolved.layers)) ['opacity', 'blend'].forEach(function(name) {
+      if (resolved[name] === DEFAULTS[name]) return;
+      warn('"' + name + '" only applies with "layers"; ignoring ' + formatValue(resolved[name]) + '.');
+      resolved[name] = DEFAULTS[name];
+    });
+
+    // Layers and theme overrides are repaired here, once, rather than each
+    // time they are laid over these options
+    if (Array.isArray(resolved.layers)) resolved.layers = resolved.layers.map(function(layer, index) {
+      var own = layer && typeof layer === 'object' ? expandPreset(layer) : layer;
+      return normalizeNested(resolved, own, 'layers[' + index + ']', report);
+    });
+    if (resolved.theme && typeof resolved.theme === 'object') {
+      var theme = assign({}, resolved.theme);
+      THEME_SCHEMES.forEach(function(scheme) {
+        if (theme[scheme] !== undefined) theme[scheme] = normalizeNested(resolved, theme[scheme], 'theme.' + scheme, report);
+      });
+      resolved.theme = theme;
+    }
+
+    if (resolved.seed === undefined) resolved.seed = randomSeed();
+    return resolved;
+  }
+
+  /**
+   * normalizeOptions() for nested options (a layer, a theme): repairs the
+   * values they set, without filling in defaults, and OPTION_PAIRS against
+   * the options they are laid over, as validateNested() checks them.
+   * Anything but an object is returned unchanged for its user to reject.
+   *
+   * @param {object}   parent - Normalised options the nested ones go over.
+   * @param {object}   nested
+   * @param {string}   prefix - e.g. 'layers[1]', for messages.
+   * @param {function} report - Throws or warns, see normalizeOptions.
+   * @returns {object} New nested options; the input is not modified.
+   */
+  function normalizeNested(parent, nested, prefix, report) {
+    if (!nested || typeof nested !== 'object') return nested;
+    var fixed = assign({}, nested);
+    Object.keys(OPTION_SCHEMA).forEach(function(name) {
+      var range = checkOption(name, nested[name]);
+      if (!range) return;
+      fixed[name] = repairOption(name, nested[name]);
+      report(new WavelineOptionError(prefix + '.' + name, range, nested[name]), fixed[name]);
+    });
+    var merged = assign(assign({}, parent), fixed);
+    OPTION_PAIRS.forEach(function(pair) {
+      if (nested[pair[0]] === undefined && nested[pair[1]] === undefined) return;
+      var err = checkPair(pair, merged);
+      if (!err) return;
+      report(new WavelineOptionError(prefix + '.' + err.option, err.range, err.value), merged[pair[0]]);
+      fixed[pair[1]] = merged[pair[0]];
+    });
+    return fixed;
+  }
+
+  // ── PRESETS & SHARE CODES ─────────────────────────────────────────────────
+  // Registered presets by name; see WavelineBG.presets
+  var PRESETS = {};
+
+  // Version written by encode(); decode() reads this version and older ones
+  var CODE_VERSION = 1;
+
+  // Short key of each option in share codes. Append-only: a code must keep
+  // decoding the same way in later releases, so never reuse or rename keys.
+  var OPTION_CODES = {
+    width: 'w', height: 'h', gridWidth: 'gw', gridHeight: 'gh',
+    density: 'd', freq: 'f', amplitude: 'a', bias: 'b', seed: 's', time: 't',
+    strokeMin: 'sn', strokeMax: 'sx', opacityMin: 'on', opacityMax: 'ox',
+    keepAspect: 'ka', field: 'fd', octaves: 'oc', lacunarity: 'la', persistence: 'pe',
+    bumps: 'bu', fieldOffset: 'fo', style: 'st', bandOpacityMin: 'bn', bandOpacityMax: 'bx',
+    strokeColor: 'sc', backgroundColor: 'bg', palette: 'p', paletteMode: 'pm', colorSeed: 'cs',
+    precision: 'pr', relative: 'r', curve: 'c', simplify: 'si', simplifyMethod: 'sm',
+    minArea: 'ma', maxBytes: 'mb',
+    interactive: 'i',
+    tileable: 'tl', tileSize: 'ts',
+    scale: 'sa', layers: 'ly', opacity: 'op', blend: 'bl',
+    focus: 'fc', mask: 'mk', exclude: 'ex',
+    heightmap: 'hm', cssVars: 'cv', theme: 'th',
+    ramp: 'rp', strokeEasing: 'se', opacityEasing: 'oe', indexEvery: 'ie', indexWidth: 'iw',
+    indexOpacity: 'io', indexColor: 'ic', dash: 'da', jitter: 'ji'
+  };
+
+  // Runtime settings, not part of the look, kept out of share codes:
+  // a code from a link must never pick a script to import (d3Url) or change
+  // how the page runs. Their former short keys stay reserved.
+  var RUNTIME_CODES = { d3Url: 'du', strict: 'sr', autoSize: 'as', async: 'ay' };
+
+  // Inverse of OPTION_CODES: short key → option name
+  var CODE_OPTIONS = {};
+  Object.keys(OPTION_CODES).forEach(function(name) { CODE_OPTIONS[OPTION_CODES[name]] = name; });
+
+  /**
+   * Merges the preset named by options.preset under the other options
+   * (undefined values do not override it) and drops the `preset` key.
+   * Unknown names are left for validation to report.
+   * @param {object} options
+   * @returns {object}
+   */
+  function expandPreset(options) {
+    if (options.preset === undefined || !PRESETS.hasOwnProperty(options.preset)) return options;
+    var expanded = assign({}, PRESETS[options.preset]);
+    for (var key in options) {
+      if (options.hasOwnProperty(key) && options[key] !== undefined) expanded[key] = options[key];
+    }
+    delete expanded.preset;
+    return expanded;
+  }
+
+  /**
+   * Registers (or replaces) a named preset, usable as apply(el, 'name'),
+   * `preset: 'name'` or data-waveline-preset="name".
+   * @param {string} name
+   * @param {object} options - Validated strictly: the first invalid option throws.
+   * @returns {string} name
+   */
+  function registerPreset(name, options) {
+    if (typeof name !== 'string' || !name) throw new Error('A preset needs a name.');
+    options = assign({}, options);
+    delete options.preset;
+    var errors = validateOptions(options);
+    if (errors.length) throw errors[0];
+    PRESETS[name] = options;
+    return name;
+  }
+
+  /**
+   * Serialises presets as JSON: { version, presets: { name: options } }.
+   * @param {string[]} [names] - Default: every registered preset.
+   * @returns {string}
+   */
+  function exportPresets(names) {
+    var out = {};
+    (names || Object.keys(PRESETS)).forEach(function(name) {
+      if (!PRESETS.hasOwnProperty(name)) throw new Error('Unknown preset "' + name + '".');
+      out[name] = PRESETS[name];
+    });
+    return JSON.stringify({ version: CODE_VERSION, presets: out }, null, 2);
+  }
+
+  /**
+   * Registers every preset from exportPresets() output.
+   * @param {string|object} json - JSON string or parsed object.
+   * @returns {string[]} Names of the imported presets.
+   */
+  function importPresets(json) {
+    var data = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!data || typeof data.presets !== 'object') throw new Error('Expected { "presets": { name: options } }.');
+    return Object.keys(data.presets).map(function(name) {
+      return registerPreset(name, data.presets[name]);
+    });
+  }
+
+  /**
+   * Encodes options as a compact, versioned share code that is safe in a URL
+   * hash, e.g. "1:d=12,s=42,sc=%23214d83". Options are resolved first (a
+   * preset is expanded and the seed fixed, random if omitted) so the code
+   * always reproduces the exact pattern; defaults are left out.
+   *
+   * @param {object|string} options - Options or a preset name.
+   * @returns {string}
+   */
+  function encodeOptions(options) {
+    var resolved = normalizeOptions(options);
+    var pairs    = [];
+    Object.keys(OPTION_CODES).forEach(function(name) {
+      var value = resolved[name];
+      if (value === undefined || value === DEFAULTS[name]) return;
+      if (typeof value === 'function') {
+        throw new Error('Cannot encode "' + name + '": functions cannot be serialised.');
+      }
+      if (name === 'heightmap' && isPixelData(value)) {
+        throw new Error('Cannot encode pixel data as "heightmap": encode its URL, text or SVG instead.');
+      }
+      if (typeof value === 'object') checkEncodable(name, value);
+      var text = typeof value === 'boolean' ? (value ? '1' : '0')
+               : typeof value === 'object'  ? JSON.stringify(value, withoutRuntimeOptions)
+               : String(value);
+      // encodeURIComponent also escapes the separators , = and :
+      pairs.push(OPTION_CODES[name] + '=' + encodeURIComponent(text));
+    });
+    return CODE_VERSION + ':' + pairs.join(',');
+  }
+
+  /**
+   * Throws if a nested value (a layer's field, an element in `exclude`,
+   * pixel data…) would not survive JSON, which drops or mangles it.
+   * @param {string} path - Where the value sits, for the message.
+   * @param {*}      value
+   */
+  function checkEncodable(path, value) {
+    if (typeof value === 'function') {
+      throw new Error('Cannot encode "' + path + '": functions cannot be serialised.');
+    }
+    if (!value || typeof value !== 'object') return;
+    if (isElement(value) || ArrayBuffer.isView(value) || value instanceof ArrayBuffer) {
+      throw new Error('Cannot encode "' + path + '": elements and pixel data cannot be serialised.');
+    }
+    Object.keys(value).forEach(function(key) {
+      checkEncodable(path + (Array.isArray(value) ? '[' + key + ']' : '.' + key), value[key]);
+    });
+  }
+
+  /** JSON.stringify replacer leaving runtime settings out of layers and themes. */
+  function withoutRuntimeOptions(key, value) {
+    return RUNTIME_CODES.hasOwnProperty(key) ? undefined : value;
+  }
+
+  /**
+   * Throws if decoded options set a runtime setting (see RUNTIME_CODES),
+   * at the top level or inside layers and themes.
+   */
+  function rejectRuntimeOptions(options, path) {
+    Object.keys(RUNTIME_CODES).forEach(function(name) {
+      if (options[name] !== undefined) {
+        throw new Error('"' + path + name + '" cannot be set by a waveline code.');
+      }
+    });
+    if (Array.isArray(options.layers)) options.layers.forEach(function(layer, index) {
+      if (layer && typeof layer === 'object') rejectRuntimeOptions(layer, path + 'layers[' + index + '].');
+    });
+    if (options.theme && typeof options.theme === 'object') THEME_SCHEMES.forEach(function(scheme) {
+      var nested = options.theme[scheme];
+      if (nested && typeof nested === 'object') rejectRuntimeOptions(nested, path + 'theme.' + scheme + '.');
+    });
+  }
+
+  /**
+   * Decodes a share code from encode(). A leading '#' is ignored, so
+   * location.hash can be passed as is. Codes cannot set runtime settings
+   * such as d3Url or async (see RUNTIME_CODES).
+   * @param {string} code
+   * @returns {object} Options.
+   */
+  function decodeOptions(code) {
+    var match = /^#?(\d+):(.*)$/.exec(String(code));
+    if (!match) throw new Error('Not a waveline code: "' + code + '".');
+    if (+match[1] > CODE_VERSION) {
+      throw new Error('Waveline code version ' + match[1] + ' is newer than this library supports.');
+    }
+
+    var options = {};
+    match[2].split(',').forEach(function(pair) {
+      if (!pair) return;
+      var eq   = pair.indexOf('=');
+      var key  = eq > 0 ? pair.slice(0, eq) : '';
+      var name = CODE_OPTIONS.hasOwnProperty(key) && CODE_OPTIONS[key];
+      for (var runtime in RUNTIME_CODES) {
+        if (RUNTIME_CODES[runtime] === key) throw new Error('"' + runtime + '" cannot be set by a waveline code.');
+      }
+      if (!name) throw new Error('Unknown entry "' + pair + '" in waveline code.');
+
+      var spec = OPTION_SCHEMA[name];
+      var type = spec.type;
+      var text;
+      try {
+        text = decodeURIComponent(pair.slice(eq + 1));
+        options[name] = type === 'boolean' && (text === '1' || text === '0') ? text === '1'
+                      : type === 'array' || type === 'object'                 ? JSON.parse(text)
+                      : spec.also === 'object' && /^[\[{]/.test(text)         ? parseJsonOr(text)
+                      : type === 'number' || type === 'integer'               ? Number(text)
+                      : text;
+      } catch (e) {
+        throw new Error('Invalid entry "' + pair + '" in waveline code.');
+      }
+    });
+    rejectRuntimeOptions(options, '');
+    return options;
+  }
+
+  /**
+   * JSON value of text, or text itself when it is not JSON: options that
+   * also take objects (heightmap, palette…) encode strings as they are, so
+   * "[logo].png" stays a file name.
+   */
+  function parseJsonOr(text) {
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      return text;
+    }
+  }
+
+  // Built-in gallery. Each preset fixes its seed so it always looks the same.
+  registerPreset('topography',      { density: 12, freq: 5, strokeColor: '#8a8a8a', seed: 12345 });
+  registerPreset('blueprint',       { density: 16, freq: 6, strokeColor: '#cfe3ff', backgroundColor: '#1d4e89',
+                                      strokeMin: 0.1, strokeMax: 0.2, opacityMin: 0.35, seed: 1955 });
+  registerPreset('ocean-depths',    { palette: 'ocean', paletteMode: 'gradient', style: 'both',
+                                      density: 12, freq: 4, seed: 4242 });
+  registerPreset('sunset-bands',    { palette: 'sunset', style: 'bands', field: 'simplex',
+                                      density: 9, freq: 4, seed: 777 });
+  registerPreset('forest-trails',   { palette: 'forest', field: 'fbm', density: 11, freq: 5,
+                                      bias: 0.3, seed: 31337 });
+  registerPreset('sand-dunes',      { palette: 'sand', field: 'perlin', style: 'both',
+                                      density: 10, freq: 3, amplitude: 1.4, seed: 8080 });
+  registerPreset('midnight-ridges', { palette: 'midnight', field: 'ridged', density: 10, freq: 2,
+                                      opacityMin: 0.3, seed: 2024 });
+
+  // ── SVG GENERATION ────────────────────────────────────────────────────────
+  /**
+   * Computes everything needed to draw a waveline pattern, independently of
+   * the output format: viewBox size, background, clip id and an ordered list
+   * of paths with their fill/stroke styles. Renderers (SVG string, canvas)
+   * only serialise or paint this scene, so they stay visually identical.
+   *
+   * The terrain grid is mapped onto a slightly larger area than the viewBox
+   * (controlled by the bleed factor). Renderers then clip to the exact
+   * viewBox bounds, removing any contour artefacts at grid edges.
+   *
+   * With `tileable: true` the grid covers the viewBox exactly instead, the
+   * field is periodic, and a margin copied from the opposite edges lets
+   * every contour leave one side and come back on the other, so copies of
+   * the pattern placed side by side join without seams.
+   *
+   * @param {object} options - Configuration object (see README for full list).
+   * @returns {{width: number, height: number, background: string,
+   *            clipId: string, items: object[]}}
+   */
+  function buildScene(options) {
+    options = normalizeOptions(options);
+    if (options.maxBytes) return buildSceneWithinBudget(options);
+    if (options.layers) return buildLayeredScene(options);
+    return dressTerrain(options, traceTerrain(options));
+  }
+
+  /**
+   * First half of buildScene(): the terrain, from the field to its contours.
+   * Path and style options are not used, so one terrain can be dressed
+   * several times (see buildSceneWithinBudget).
+   * @param {object} options - Normalised options without `layers`.
+   * @returns {object} Contours, thresholds and grid → viewBox mapping.
+   */
+  function traceTerrain(options) {
+    // Canvas dimensions in SVG user units (default: 16:9 aspect ratio)
+    var width      = options.width;
+    var height     = options.height;
+
+    // Grid resolution: more cells = finer contours, but slower generation
+    var gridWidth  = options.gridWidth;
+    var gridHeight = options.gridHeight;
+
+    // Terrain parameters
+    var density    = options.density;    // number of contour lines
+    var freq       = options.freq;       // wave frequency
+    var amplitude  = options.amplitude;  // terrain contrast
+
+    // Field generator: 'sine' | 'perlin' | 'simplex' | 'fbm' | 'ridged' | function
+    var fieldOpts  = {
+      field:       options.field,
+      octaves:     options.octaves,
+      lacunarity:  options.lacunarity,
+      persistence: options.persistence,
+      time:        options.time, // animation time (see WavelineBG.animate)
+      // keepAspect: sample the field in proportion to the viewBox, relative to
+      // the default 100 × 56.25, so terrain features keep their shape (and
+      // stay put around the centre) whatever the aspect ratio. scale zooms
+      // in around the centre: less terrain per viewBox, larger features.
+      scaleX:      (options.keepAspect ? width  / DEFAULTS.width  : 1) / options.scale,
+      scaleY:      (options.keepAspect ? height / DEFAULTS.height : 1) / options.scale
+    };
+
+    var bias        = options.bias;
+    var seed        = options.seed;
+    var d3lib = resolveD3(options.d3);
+
+    // ── Bleed: extend terrain beyond the viewBox ───────────────────────────
+    // Marching squares generates artefact lines at the exact boundaries of the grid.
+    // By mapping the grid onto a zone 10% larger on each side, these artefacts
+    // fall outside the viewBox and are removed by the clipPath.
+    var bleed = 0.10;
+    var fullW = width  * (1 + bleed * 2); // total mapped width  (120% of viewBox)
+    var fullH = height * (1 + bleed * 2); // total mapped height (120% of viewBox)
+    var ox    = width  * bleed;           // left/right bleed in SVG units
+    var oy    = height * bleed;           // top/bottom bleed in SVG units
+    var sx    = fullW / (gridWidth  - 1); // horizontal scale: grid cell → SVG units
+    var sy    = fullH / (gridHeight - 1); // vertical scale:   grid cell → SVG units
+    var fx    = -ox;                      // SVG position of field cell 0
+    var fy    = -oy;
+
+    // ── Tileable: wrap the field around instead of bleeding ────────────────
+    // gridWidth × gridHeight cells span the viewBox exactly (cell gridWidth
+    // would be cell 0 of the next tile). The contoured grid gets TILE_MARGIN
+    // extra cells on each side copied from the opposite edge, so contours
+    // cross the borders at the same points on both sides; the artefacts at
+    // the margin's outer edges are clipped like the bleed's.
+    var tileable = options.tileable;
+    if (tileable) {
+      sx = width  / gridWidth;
+      sy = height / gridHeight;
+      ox = TILE_MARGIN * sx;
+      oy = TILE_MARGIN * sy;
+      fx = fy = 0;
+      fieldOpts.tileable = true;
+    }
+
+    // ── Field modifiers given in viewBox space ─────────────────────────────
+    // Converted to the normalized field coordinates used by generateField:
+    // field cell i sits at SVG x = fx + i·sx and field nx = (i / gridW − 0.5)·scaleX.
+    var toFieldX = function(x) { return ((x - fx) / sx / gridWidth  - 0.5) * fieldOpts.scaleX; };
+    var toFieldY = function(y) { return ((y - fy) / sy / gridHeight - 0.5) * fieldOpts.scaleY; };
+
+    // fieldOffset: [dx, dy] in viewBox widths/heights, slides the terrain
+    if (options.fieldOffset) {
+      fieldOpts.offsetX = options.fieldOffset[0] * width  / sx / gridWidth  * fieldOpts.scaleX;
+      fieldOpts.offsetY = options.fieldOffset[1] * height / sy / gridHeight * fieldOpts.scaleY;
+    }
+
+    // bumps: [{ x, y, radius, strength }], x/y as fractions of the viewBox,
+    // radius as a fraction of its shorter side, so bumps look round on screen
+    if (options.bumps) {
+      fieldOpts.bumps = options.bumps.map(function(bump) {
+        var r = (bump.radius !== undefined ? bump.radius : 0.15) * Math.min(width, height);
+        return {
+          x:        toFieldX(bump.x * width),
+          y:        toFieldY(bump.y * height),
+          rx:       r / sx / gridWidth  * fieldOpts.scaleX,
+          ry:       r / sy / gridHeight * fieldOpts.scaleY,
+          strength: bump.strength !== undefined ? bump.strength : 0.5
+        };
+      });
+    }
+
+    // focus: { x, y, radius, strength } like bumps; true for the defaults.
+    // Strength is kept within what the warp can do without folding over.
+    if (options.focus) {
+      var focus = assign(assign({}, FOCUS_DEFAULTS), options.focus === true ? {} : options.focus);
+      var fr    = focus.radius * Math.min(width, height);
+      fieldOpts.focus = {
+        x:        toFieldX(focus.x * width),
+        y:        toFieldY(focus.y * height),
+        rx:       fr / sx / gridWidth  * fieldOpts.scaleX,
+        ry:       fr / sy / gridHeight * fieldOpts.scaleY,
+        strength: Math.max(-0.9, Math.min(5, focus.strength))
+      };
+    }
+
+    // heightmap: pixel data fitted into the viewBox (see placeHeightmap)
+    if (options.heightmap) {
+      fieldOpts.heightmap = placeHeightmap(options.heightmap, width, height, toFieldX, toFieldY);
+    }
+
+    // ── Generate scalar field and compute contour thresholds ───────────────
+    // With bumps, thresholds follow the terrain's own range so a bump only
+    // reshapes the lines around it instead of re-spacing every contour.
+    if (fieldOpts.bumps) fieldOpts.stats = {};
+    var field = generateField(gridWidth, gridHeight, freq, amplitude, seed, fieldOpts);
+    var min   = fieldOpts.stats ? fieldOpts.stats.min : Infinity;
+    var max   = fieldOpts.stats ? fieldOpts.stats.max : -Infinity;
+    // One pass over the grid: Math.min.apply() overflows the stack on large grids
+    if (!fieldOpts.stats) for (var fi = 0; fi < field.length; fi++) {
+      if (field[fi] < min) min = field[fi];
+      if (field[fi] > max) max = field[fi];
+    }
+
+    // Distribute thresholds evenly across the field range, with optional bias
+    var levels = [];
+    for (var k = 1; k <= density; k++) {
+      var u = k / (density + 1);
+      levels.push(min + applyBias(u, bias) * (max - min));
+    }
+
+    var contourW = gridWidth, contourH = gridHeight;
+    if (tileable) {
+      field     = wrapField(field, gridWidth, gridHeight, TILE_MARGIN);
+      contourW += TILE_MARGIN * 2;
+      contourH += TILE_MARGIN * 2;
+    }
+
+    // Run marching squares (built-in, or d3-contour when injected)
+    var contourData = d3lib.contours()
+      .size([contourW, contourH])
+      .smooth(true)
+      .thresholds(levels)(field);
+
+
+    return {
+      width:    width,    height:   height,
+      seed:     seed,     tileable: tileable,
+      min:      min,      max:      max,      levels:   levels,
+      contourW: contourW, contourH: contourH, contours: contourData,
+      sx:       sx,       sy:       sy,       ox:       ox,       oy: oy
+    };
+  }
+
+  /**
+   * Second half of buildScene(): paths, colours and strokes of a terrain.
+   * @param {object} options - Normalised options without `layers`.
+   * @param {object} terrain - From traceTerrain().
+   * @returns {object} Scene.
+   */
+  function dressTerrain(options, terrain) {
+    var width       = terrain.width,    height   = terrain.height;
+    var seed        = terrain.seed,     tileable = terrain.tileable;
+    var min         = terrain.min,      max      = terrain.max,      levels = terrain.levels;
+    var contourW    = terrain.contourW, contourH = terrain.contourH;
+    var contourData = terrain.contours;
+    var sx = terrain.sx, sy = terrain.sy, ox = terrain.ox, oy = terrain.oy;
+
+    // Stroke appearance
+    var strokeMin  = options.strokeMin;
+    var strokeMax  = options.strokeMax;
+    var opacityMin = options.opacityMin;
+    var opacityMax = options.opacityMax;
+
+    // Rendering style: 'lines' (stroked contours), 'bands' (filled regions
+    // between consecutive thresholds) or 'both' (bands under lines)
+    var style          = options.style;
+    var bandOpacityMin = options.bandOpacityMin;
+    var bandOpacityMax = options.bandOpacityMax;
+
+    // cssVars: colours become CSS variables (see cssVar) falling back to them
+    var strokeColor = options.cssVars ? cssVar('stroke', options.strokeColor) : options.strokeColor;
+    var bgColor     = sceneBackground(options);
+
+    // Palette: per-contour colours override strokeColor. colorSeed re-rolls
+    // the colour order without touching the terrain (which only uses seed).
+    var colorAt = function() { return strokeColor; };
+    if (options.palette) {
+      var palette = resolvePalette(options.palette);
+      if (options.colorSeed !== undefined) shuffleColors(palette.colors, options.colorSeed);
+      // --waveline-color-1 (lowest) and up; gradient mode interpolates the
+      // colours themselves, so they stay literal
+      if (options.cssVars && options.paletteMode !== 'gradient') {
+        palette.colors = palette.colors.map(function(color, i) { return cssVar('color-' + (i + 1), color); });
+      }
+      colorAt = paletteColorizer(palette.colors, options.paletteMode);
+    }
+
+    // Path geometry and serialisation (see contourToPath)
+    var pathOpts = {
+      precision:      options.precision,
+      relative:       options.relative,
+      curve:          options.curve,
+      simplify:       options.simplify,
+      simplifyMethod: options.simplifyMethod,
+      minArea:        options.minArea
+    };
+
+    // ── Build scene ────────────────────────────────────────────────────────
+    // Use a unique clipPath id per seed and viewBox to avoid collisions when
+    // multiple instances are rendered on the same page.
+    var scene = {
+      width:      width,
+      height:     height,
+      background: bgColor,
+      clipId:     'wlbg-' + hashString(seed + ':' + width + 'x' + height),
+      mask:       sceneMask(options, width, height),
+      items:      []
+    };
+
+    // Path data per contour, shared by bands and lines. jitter wobbles the
+    // points of each contour its own way (see jitterer); bands follow along.
+    var jitter = options.jitter > 0 ? jitterer(options.jitter, seed, width, height, tileable) : null;
+    var paths  = contourData.map(function(c, idx) {
+      var po = !jitter ? pathOpts : assign(assign({}, pathOpts), {
+        jitter: function(p) { return jitter(p, idx); }
+      });
+      return contourToPath(c, sx, sy, ox, oy, po);
+    });
+
+    // Filled bands. Each d3 contour is the region above its threshold, so
+    // the band between thresholds k-1 and k is region(k-1) minus region(k).
+    // Concatenating both paths with fill-rule="evenodd" yields exactly that
+    // difference, holes included, since every point inside region(k) is also
+    // inside region(k-1). The lowest band starts from the whole grid area and
+    // the highest band is the last region on its own.
+    if (style !== 'lines') {
+      var gridRect = rectPath(0, 0, contourW, contourH, sx, sy, ox, oy);
+      var bands    = paths.length + 1;
+      for (var b = 0; b < bands; b++) {
+        var tb    = b / (bands - 1);
+        var lower = b === 0 ? gridRect : paths[b - 1];
+        var upper = b < paths.length ? ' ' + paths[b] : '';
+        scene.items.push({
+          d:           lower + upper,
+          fill:        colorAt(b, tb),
+          fillOpacity: bandOpacityMin + (bandOpacityMax - bandOpacityMin) * tb, // faint → dense
+          stroke:      'none'
+        });
+      }
+    }
+
+    // Render each contour as a stroked path.
+    // Stroke width and opacity follow a ramp from inner to outer contours
+    // (ramp: 'elevation': from the lowest to the highest ground), shaped by
+    // strokeEasing / opacityEasing, creating a subtle depth effect. Colour
+    // comes from the palette, if any. As on topographic maps, every
+    // indexEvery-th contour is an index contour: wider, darker and solid.
+    var strokeEase  = resolveEasing(options.strokeEasing);
+    var opacityEase = resolveEasing(options.opacityEasing);
+    var indexEvery  = options.indexEvery;
+    if (style !== 'bands') contourData.forEach(function(c, idx) {
+      var t = options.ramp === 'elevation'
+        ? (max > min ? (levels[idx] - min) / (max - min) : 0)
+        : idx / (contourData.length - 1 || 1); // normalized position [0, 1]
+      var ts   = Math.max(0, strokeEase(t));
+      var to   = Math.max(0, Math.min(1, opacityEase(t)));
+      var item = {
+        d:             paths[idx],
+        fill:          'none',
+        stroke:        colorAt(idx, t),
+        strokeWidth:   strokeMin + (strokeMax - strokeMin) * ts,         // thin → thick
+        strokeOpacity: opacityMin + (opacityMax - opacityMin) * (1 - to) // opaque → faint
+      };
+      if (indexEvery > 0 && (idx + 1) % indexEvery === 0) {
+        // --waveline-index, falling back to indexColor or the line's colour
+        var indexColor      = options.indexColor || item.stroke;
+        item.stroke         = options.cssVars ? cssVar('index', indexColor) : indexColor;
+        item.strokeWidth   *= options.indexWidth;
+        item.strokeOpacity  = options.indexOpacity;
+      } else {
+        var dash = dashPattern(options.dash, idx);
+        if (dash) item.dash = dash;
+      }
+      scene.items.push(item);
+    });
+
+    return scene;
+  }
+
+  /**
+   * backgroundColor, else the palette's background, else transparent;
+   * with cssVars, as the fallback of --waveline-background.
+   */
+  function sceneBackground(options) {
+    var palette    = !options.backgroundColor && options.palette && resolvePalette(options.palette);
+    var background = options.backgroundColor || (palette && palette.background) || 'transparent';
+    return options.cssVars ? cssVar('background', background) : background;
+  }
+
+  /**
+   * Seed of layer `index` when it does not set one: layer 0 keeps the
+   * composition's seed, the others get well-spread seeds derived from it.
+   */
+  function layerSeed(seed, index) {
+    return (seed + Math.imul(index, 0x9E3779B9)) >>> 0;
+  }
+
+  /**
+   * Resolved options of one layer: the composition's options, minus its
+   * layers and maxBytes (the budget covers the whole composition), with the
+   * layer's own options (and preset) on top. Every layer shares the
+   * composition's viewBox. normalizeOptions() has already repaired the
+   * layers, so nothing is checked again here.
+   * @param {object} options - Normalised composition options.
+   * @param {number} index
+   * @returns {object}
+   */
+  function layerOptions(options, index) {
+    var layer = options.layers[index];
+    if (!layer || typeof layer !== 'object') {
+      throw new WavelineOptionError('layers[' + index + ']', 'an object', layer);
+    }
+    var merged = assign({}, options);
+    delete merged.layers;
+    delete merged.maxBytes;
+    merged.seed   = layerSeed(options.seed, index);
+    merged        = assign(merged, layer);
+    merged.width  = options.width;
+    merged.height = options.height;
+    return merged;
+  }
+
+  /**
+   * Builds one layer of a composition: a scene of its own, keeping only the
+   * items, plus the group opacity and blend mode it is drawn with.
+   * @param {object} options - Normalised composition options.
+   * @param {number} index
+   * @param {object} [terrain] - The layer's traceTerrain(), if already known.
+   * @returns {{items: object[], opacity: number, blend: string, seed: number}}
+   */
+  function buildLayer(options, index, terrain) {
+    var resolved = layerOptions(options, index);
+    return {
+      items:   dressTerrain(resolved, terrain || traceTerrain(resolved)).items,
+      opacity: resolved.opacity,
+      blend:   resolved.blend,
+      seed:    resolved.seed
+    };
+  }
+
+  /**
+   * Scene of a `layers` composition: several terrains stacked in one
+   * viewBox, first layer at the bottom. Each layer inherits the top-level
+   * options and overrides any of them, typically seed, freq, density,
+   * palette, the stroke ramp, fieldOffset and scale, plus `opacity` and a
+   * CSS `blend` mode applied to the layer as a group. Layers without a seed
+   * get one derived from the top-level seed, so they differ from each other.
+   * The background and the mask (mask, exclude) come from the top-level
+   * options only.
+   *
+   * @param {object}   options    - Normalised options with a `layers` array.
+   * @param {object[]} [terrains] - traceTerrain() of each layer, if already known.
+   * @returns {object} Scene whose `layers` replace `items`.
+   */
+  function buildLayeredScene(options, terrains) {
+    var layers = options.layers.map(function(layer, index) {
+      return buildLayer(options, index, terrains && terrains[index]);
+    });
+    // One clipPath shared by every layer; its id also depends on the layer
+    // seeds and viewBox so differing compositions on one page never share it.
+    var seeds = layers.map(function(layer) { return layer.seed; }).join(',');
+    return {
+      width:      options.width,
+      height:     options.height,
+      background: sceneBackground(options),
+      clipId:     'wlbg-l' + hashString(seeds + ':' + options.width + 'x' + options.height),
+      mask:       sceneMask(options, options.width, options.height),
+      items:      [],
+      layers:     layers
+    };
+  }
+
+  // Settings tried in order by maxBytes, each merged over the caller's
+  // options: lossless compaction first, then stronger simplification and
+  // lower precision, then dropping small rings.
+  var BUDGET_STEPS = [
+    {},
+    { relative: true },
+    { relative: true, precision: 2 },
+    { relative: true, precision: 2, simplify: 0.05 },
+    { relative: true, precision: 2, simplify: 0.1,  minArea: 0.05 },
+    { relative: true, precision: 1, simplify: 0.2,  minArea: 0.2 },
+    { relative: true, precision: 1, simplify: 0.4,  minArea: 0.5 },
+    { relative: true, precision: 1, simplify: 0.8,  minArea: 2 }
+  ];
+
+  /**
+   * Builds the scene with the least aggressive BUDGET_STEPS entry whose SVG
+   * markup fits in options.maxBytes (characters of SVG markup, which equals
+   * bytes for the ASCII output; the dataUrl encoding adds overhead on top).
+   * Settings the caller gave explicitly are never made less aggressive.
+   * If nothing fits, the smallest result is returned. The settings only
+   * change how contours are serialised, so the terrain is traced once.
+   * @param {object} options
+   * @returns {object} Scene, with an `svg` property holding its measured markup.
+   */
+  function buildSceneWithinBudget(options) {
+    var terrains = options.layers
+      ? options.layers.map(function(layer, index) { return traceTerrain(layerOptions(options, index)); })
+      : traceTerrain(options);
+    var best = null;
+    for (var i = 0; i < BUDGET_STEPS.length; i++) {
+      var step  = BUDGET_STEPS[i];
+      var tried = assign(assign({}, options), step);
+      tried.maxBytes = 0;
+      if (options.relative) tried.relative = true;
+      if (options.precision !== undefined && step.precision !== undefined) {
+        tried.precision = Math.min(options.precision, step.precision);
+      }
+      ['simplify', 'minArea'].forEach(function(key) {
+        tried[key] = Math.max(options[key] || 0, step[key] || 0);
+      });
+
+      var scene = tried.layers ? buildLayeredScene(tried, terrains) : dressTerrain(tried, terrains);
+      scene.svg = sceneToSvg(scene);
+      if (!best || scene.svg.length < best.svg.length) best = scene;
+      if (scene.svg.length <= options.maxBytes) return scene;
+    }
+    return best;
+  }
+
+  /**
+   * Serialises a scene from buildScene() as SVG markup.
+   * @param {object} scene
+   * @returns {string} SVG markup as a string.
+   */
+  function sceneToSvg(scene) {
+    var width  = scene.width;
+    var height = scene.height;
+
+    var svg = '<svg xmlns="http://www.w3.org/2000/svg"'
+            + ' viewBox="0 0 ' + width + ' ' + height + '"'
+            + ' preserveAspectRatio="xMidYMid slice">'
+            + '<defs><clipPath id="' + scene.clipId + '">'
+            + '<rect x="0" y="0" width="' + width + '" height="' + height + '"/>'
+            + '</clipPath>'
+            + (scene.mask ? maskToSvg(scene.mask, width, height) : '')
+            + '</defs>'
+            // Background fill (transparent by default; set backgroundColor for inline mode)
+            + '<rect width="' + width + '" height="' + height + '"' + paintAttribute('fill', scene.background) + '/>';
+
+    if (scene.layers) {
+      scene.layers.forEach(function(layer, index) { svg += layerToSvg(scene, index); });
+      return svg + '</svg>';
+    }
+    return svg + '<g clip-path="url(#' + scene.clipId + ')"' + maskAttribute(scene) + '>'
+         + itemsToSvg(scene.items) + '</g></svg>';
+  }
+
+  /**
+   * Serialises layer `index` of a layered scene as a <g data-layer="index">
+   * group, clipped with the scene's shared clipPath. Being direct children
+   * of the <svg>, layer groups blend with everything below them, the page
+   * included when the background is transparent.
+   * @param {object} scene
+   * @param {number} index
+   * @returns {string}
+   */
+  function layerToSvg(scene, index) {
+    var layer = scene.layers[index];
+    return '<g data-layer="' + index + '" clip-path="url(#' + scene.clipId + ')"' + maskAttribute(scene)
+         + (layer.opacity < 1 ? ' opacity="' + layer.opacity + '"' : '')
+         + (layer.blend !== 'normal' ? ' style="mix-blend-mode:' + layer.blend + '"' : '')
+         + '>' + itemsToSvg(layer.items) + '</g>';
+  }
+
+  /** mask="…" attribute for the content groups, if the scene has a mask. */
+  function maskAttribute(scene) {
+    return scene.mask ? ' mask="url(#' + scene.mask.id + ')"' : '';
+  }
+
+  /**
+   * fill="…" or stroke="…" attribute for a colour. CSS variables go in a
+   * style attribute instead, where every browser resolves var().
+   */
+  function paintAttribute(name, color) {
+    color = escapeAttribute(color);
+    return color.indexOf('var(') >= 0 ? ' style="' + name + ':' + color + '"' : ' ' + name + '="' + color + '"';
+  }
+
+  /**
+   * Escapes a value for a double-quoted attribute. Colours are free-form
+   * strings, possibly from a share code, and the markup may end up in
+   * innerHTML (inline mode).
+   */
+  function escapeAttribute(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;')
+                        .replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+
+  /** Serialises scene items as <path> elements. */
+  function itemsToSvg(items) {
+    var svg = '';
+    items.forEach(function(item) {
+      if (item.stroke === 'none') {
+        svg += '<path d="' + item.d + '"'
+             + paintAttribute('fill', item.fill)
+             + ' fill-opacity="' + item.fillOpacity + '"'
+             + ' fill-rule="evenodd"'
+             + ' stroke="none"/>';
+      } else {
+        svg += '<path d="' + item.d + '"'
+             + ' fill="none"'
+             + paintAttribute('stroke', item.stroke)
+             + ' stroke-width="' + item.strokeWidth + '"'
+             + ' stroke-opacity="' + item.strokeOpacity + '"'
+             + (item.dash ? ' stroke-dasharray="' + item.dash.join(' ') + '"' : '')
+             + ' stroke-linejoin="round"'
+             + ' stroke-linecap="round"/>';
+      }
+    });
+    return svg;
+  }
+
+  /**
+   * Generates a complete SVG string representing the waveline pattern.
+   * Pure: needs no DOM, so it also runs headless (Node, workers, SSR).
+   *
+   * @param {object} options - Configuration object (see README for full list).
+   * @returns {string} SVG markup as a string.
+   */
+  function generateWavelineSvg(options) {
+    var scene = buildScene(options);
+    return scene.svg !== undefined ? scene.svg : sceneToSvg(scene); // maxBytes: already serialised
+  }
+
+  // ── WORKER ────────────────────────────────────────────────────────────────
+  // Scene jobs run one at a time in a single shared worker, built from this
+  // very factory (see workerSource), so no extra file has to be deployed.
+  var sceneWorker    = null;
+  var workerDisabled = false;   // set once workers turn out to be unavailable
+  var workerActive   = null;    // job currently being computed
+  var workerQueue    = [];      // jobs waiting for the worker
+  var channelLatest  = {};      // channel → id of its most recent job
+  var jobCounter     = 0;
+
+  /**
+   * Builds the source of the worker: runs this library's factory in worker
+   * mode (see serveWorkerJobs), which contours with the built-in backend.
+   * With a d3Url, that build is loaded with importScripts and used instead.
+   * @param {string} [d3Url] - Absolute URL of a d3 or d3-contour UMD build.
+   * @returns {string}
+   */
+  function workerSource(d3Url) {
+    return (d3Url ? 'importScripts(' + JSON.stringify(d3Url) + ');\n' : '')
+         + '(' + wavelineFactory.toString() + ')(' + (d3Url ? 'self.d3 || null' : 'null') + ', true);\n';
+  }
+
+  /**
+   * Returns the shared worker, creating it on first use, or null when the
+   * synchronous path must be used: no Worker/Blob support, or a CSP that
+   * forbids blob: workers.
+   * @param {string} [d3Url] - Value of the `d3Url` option.
+   * @returns {Worker|null}
+   */
+  function getSceneWorker(d3Url) {
+    if (sceneWorker || workerDisabled) return sceneWorker;
+    if (typeof Worker === 'undefined' || typeof Blob === 'undefined'
+        || typeof URL === 'undefined' || !URL.createObjectURL) {
+      workerDisabled = true;
+      return null;
+    }
+
+    try {
+      var blob = new Blob([workerSource(d3Url)], { type: 'text/javascript' });
+      sceneWorker = new Worker(URL.createObjectURL(blob));
+    } catch (e) {
+      workerDisabled = true;
+      return null;
+    }
+
+    sceneWorker.onmessage = function(e) {
+      var job = workerActive;
+      if (!job || e.data.id !== job.id) return;
+      workerActive = null;
+      if (e.data.error) finishJob(job, e.data.option
+        ? new WavelineOptionError(e.data.option, e.data.range, e.data.value, e.data.error)
+        : new Error(e.data.error));
+      else finishJob(job, null, e.data.scene);
+      pumpQueue();
+    };
+
+    // Uncaught worker errors (e.g. importScripts failing) disable offloading;
+    // the job in progress is retried on the main thread.
+    sceneWorker.onerror = function(e) {
+      if (e.preventDefault) e.preventDefault();
+      sceneWorker.terminate();
+      sceneWorker    = null;
+      workerDisabled = true;
+      if (workerActive) workerQueue.unshift(workerActive);
+      workerActive = null;
+      pumpQueue();
+    };
+    return sceneWorker;
+  }
+
+  /**
+   * True when options survive structured cloning and mean the same thing in
+   * the worker: no functions (custom field, injected d3 module).
+   */
+  function canOffload(value) {
+    if (typeof value === 'function' || isElement(value)) return false;
+    if (!value || typeof value !== 'object' || ArrayBuffer.isView(value)) return true;
+    for (var key in value) {
+      if (value.hasOwnProperty(key) && !canOffload(value[key])) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Presets and palettes registered at runtime only exist on this side:
+   * expands them (in layers too) before options are sent to the worker.
+   */
+  function portableOptions(options) {
+    options = expandPreset(options);
+    if (typeof options.palette === 'string' && PALETTES.hasOwnProperty(options.palette)) {
+      options = assign(assign({}, options), { palette: PALETTES[options.palette] });
+    }
+    if (Array.isArray(options.layers)) {
+      options = assign(assign({}, options), {
+        layers: options.layers.map(function(layer) {
+          return layer && typeof layer === 'object' ? portableOptions(layer) : layer;
+        })
+      });
+    }
+    return options;
+  }
+
+  /** Error used to reject jobs superseded by a newer one on the same channel. */
+  function cancelledError() {
+    var err = new Error('Superseded by a newer job.');
+    err.name = 'AbortError';
+    return err;
+  }
+
+  function isStale(job) {
+    return job.channel !== undefined && channelLatest[job.channel] !== job.id;
+  }
+
+  /** Settles a job's promise, rejecting it instead if it went stale meanwhile. */
+  function finishJob(job, error, scene) {
+    if (isStale(job)) return job.reject(cancelledError());
+    if (job.channel !== undefined) delete channelLatest[job.channel];
+    if (error) job.reject(error);
+    else job.resolve(scene);
+  }
+
+  /** Starts the next queued job, in the worker or on the main thread. */
+  function pumpQueue() {
+    if (workerActive || !workerQueue.length) return;
+    var job = workerQueue.shift();
+    var worker = canOffload(job.options) ? getSceneWorker(job.options.d3Url) : null;
+    workerActive = job;
+
+    if (worker) {
+      worker.postMessage({ id: job.id, options: portableOptions(job.options) });
+      return;
+    }
+
+    // Synchronous fallback, deferred so results always arrive asynchronously
+    setTimeout(function() {
+      workerActive = null;
+      var scene = null, error = null;
+      if (!isStale(job)) {
+        try { scene = buildScene(job.options); } catch (e) { error = e; }
+      }
+      finishJob(job, error, scene);
+      pumpQueue();
+    }, 0);
+  }
+
+  /**
+   * Builds a scene off the main thread. Jobs sharing a `channel` cancel each
+   * other: a queued job is dropped as soon as a newer one arrives, and a
+   * result computed for an outdated job is discarded. Either way the stale
+   * promise rejects with an AbortError.
+   *
+   * @param {object} options   - Same options as generateWavelineSvg().
+   * @param {string} [channel] - Key grouping jobs where only the latest matters.
+   * @returns {Promise<object>} Scene as returned by buildScene().
+   */
+  function buildSceneAsync(options, channel) {
+    return new Promise(function(resolve, reject) {
+      var job = { id: ++jobCounter, options: options, channel: channel, resolve: resolve, reject: reject };
+      if (channel !== undefined) {
+        channelLatest[channel] = job.id;
+        workerQueue = workerQueue.filter(function(queued) {
+          if (queued.channel !== channel) return true;
+          queued.reject(cancelledError());
+          return false;
+        });
+      }
+      workerQueue.push(job);
+      pumpQueue();
+    });
+  }
+
+  /**
+   * Asynchronous generateWavelineSvg(): field generation, thresholds and
+   * contouring run in a Web Worker, so large grids do not block the page.
+   * Falls back to the synchronous path (still resolving asynchronously) when
+   * workers are unavailable or options contain functions.
+   *
+   * @param {object} options      - Same options as generateWavelineSvg().
+   * @param {object} [asyncOpts]  - { channel }: newer calls on the same
+   *                                channel cancel older ones (AbortError).
+   * @returns {Promise<string>} SVG markup.
+   */
+  function generateWavelineSvgAsync(options, asyncOpts) {
+    if (typeof options === 'string') options = { preset: options };
+    return buildSceneAsync(options || {}, (asyncOpts || {}).channel).then(sceneToSvg);
+  }
+
+  /**
+   * Entry point of the worker: answers { id, options } messages with the
+   * scene, or with the error message when options are invalid.
+   */
+  function serveWorkerJobs() {
+    self.onmessage = function(e) {
+      var msg = e.data;
+      try {
+        self.postMessage({ id: msg.id, scene: buildScene(msg.options) });
+      } catch (err) {
+        // Keep option errors typed across the thread boundary
+        var value = typeof err.value === 'function' ? undefined : err.value;
+        self.postMessage({ id: msg.id, error: err.message, option: err.option, range: err.range, value: value });
+      }
+    };
+  }
+
+  // ── CANVAS RENDERING ──────────────────────────────────────────────────────
+  /**
+   * Draws a scene onto a 2D canvas context, matching the SVG output:
+   * the viewBox is scaled to cover the pixel area and centred (like
+   * preserveAspectRatio="xMidYMid slice"), clipped to the viewBox so the
+   * bleed stays hidden, and each path keeps its fill/stroke/opacity ramp.
+   * Path data is shared with the SVG renderer through Path2D.
+   *
+   * Layers are drawn with their blend mode as composite operation and their
+   * opacity multiplied into each path's. Unlike SVG groups, paths of one
+   * layer that overlap (lines over bands) are blended one by one.
+   *
+   * With a mask, lines and bands are drawn on a scratch canvas, faded by
+   * drawMask() and then copied over the background (so layers blend with
+   * each other, but not with the background).
+   *
+   * CSS variables (cssVars) and currentColor are resolved from `style`,
+   * the computed style of the canvas element, or fall back without it.
+   *
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {object} scene    - Scene from buildScene().
+   * @param {number} pxWidth  - Target width in device pixels.
+   * @param {number} pxHeight - Target height in device pixels.
+   * @param {CSSStyleDeclaration} [style]
+   */
+  function drawScene(ctx, scene, pxWidth, pxHeight, style) {
+    var scale      = Math.max(pxWidth / scene.width, pxHeight / scene.height);
+    var background = resolveCssColor(scene.background, style);
+
+    ctx.save();
+    ctx.clearRect(0, 0, pxWidth, pxHeight);
+    ctx.translate((pxWidth - scene.width * scale) / 2, (pxHeight - scene.height * scale) / 2);
+    ctx.scale(scale, scale);
+
+    ctx.beginPath();
+    ctx.rect(0, 0, scene.width, scene.height);
+    ctx.clip();
+
+    if (background && background !== 'transparent') {
+      ctx.fillStyle = background;
+      ctx.fillRect(0, 0, scene.width, scene.height);
+    }
+
+    var target = ctx;
+    if (scene.mask) {
+      target = createCanvas(pxWidth, pxHeight).getContext('2d');
+      target.setTransform(ctx.getTransform());
+    }
+
+    target.lineJoin = 'round';
+    target.lineCap  = 'round';
+    (scene.layers || [scene]).forEach(function(group) {
+      var alpha = group.opacity !== undefined ? group.opacity : 1;
+      target.globalCompositeOperation = group.blend && group.blend !== 'normal' ? group.blend : 'source-over';
+      group.items.forEach(function(item) {
+        var path = new Path2D(item.d);
+        if (item.stroke === 'none') {
+          target.globalAlpha = item.fillOpacity * alpha;
+          target.fillStyle   = resolveCssColor(item.fill, style);
+          target.fill(path, 'evenodd');
+        } else {
+          target.globalAlpha = item.strokeOpacity * alpha;
+          target.strokeStyle = resolveCssColor(item.stroke, style);
+          target.lineWidth   = item.strokeWidth;
+          target.setLineDash(item.dash || []);
+          target.stroke(path);
+        }
+      });
+    });
+
+    if (scene.mask) {
+      drawMask(target, scene.mask, scene.width, scene.height, scale);
+      // Copy pixel for pixel; the clip set above still applies
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.globalAlpha = 1;
+      ctx.drawImage(target.canvas, 0, 0);
+    }
+
+    ctx.restore();
+  }
+
+  /** Blank canvas for offscreen drawing: OffscreenCanvas when available. */
+  function createCanvas(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+    var canvas = document.createElement('canvas');
+    canvas.width  = width;
+    canvas.height = height;
+    return canvas;
+  }
+
+  /**
+   * Renders a scene into a <canvas>, sizing its backing store to the given
+   * CSS size times devicePixelRatio so lines stay crisp on HiDPI screens.
+   * CSS variables and currentColor take the canvas element's values.
+   * @param {HTMLCanvasElement} canvas
+   * @param {object} scene   - Scene from buildScene().
+   * @param {number} cssWidth  - Displayed width in CSS pixels.
+   * @param {number} cssHeight - Displayed height in CSS pixels.
+   */
+  function renderCanvas(canvas, scene, cssWidth, cssHeight) {
+    var dpr = window.devicePixelRatio || 1;
+    var pxW = Math.max(1, Math.round(cssWidth  * dpr));
+    var pxH = Math.max(1, Math.round(cssHeight * dpr));
+    if (canvas.width  !== pxW) canvas.width  = pxW;
+    if (canvas.height !== pxH) canvas.height = pxH;
+    drawScene(canvas.getContext('2d'), scene, pxW, pxH, window.getComputedStyle(canvas));
+  }
+
+  /**
+   * Renders a waveline pattern to a raster image (PNG, WebP, JPEG...).
+   *
+   * The image width defaults to 1920 px and its height follows the viewBox
+   * aspect ratio; `scale` multiplies both (e.g. 2 for a retina export).
+   * Uses OffscreenCanvas when available, otherwise a detached <canvas>.
+   *
+   * @param {object} options      - Same options as generateWavelineSvg().
+   * @param {object} [exportOpts] - { type: 'image/png', quality, width, height, scale: 1 }.
+   * @returns {Promise<Blob>}
+   */
+  function toBlob(options, exportOpts) {
+    exportOpts = exportOpts || {};
+    var type  = exportOpts.type  || 'image/png';
+    var scale = exportOpts.scale || 1;
+
+    return new Promise(function(resolve, reject) {
+      var scene = buildScene(options);
+      var cssW  = exportOpts.width  || 1920;
+      var cssH  = exportOpts.height || Math.round(cssW * scene.height / scene.width);
+      var pxW   = Math.round(cssW * scale);
+      var pxH   = Math.round(cssH * scale);
+
+      if (typeof OffscreenCanvas !== 'undefined') {
+        var off = new OffscreenCanvas(pxW, pxH);
+        drawScene(off.getContext('2d'), scene, pxW, pxH);
+        off.convertToBlob({ type: type, quality: exportOpts.quality }).then(resolve, reject);
+        return;
+      }
+
+      var canvas = document.createElement('canvas');
+      canvas.width  = pxW;
+      canvas.height = pxH;
+      drawScene(canvas.getContext('2d'), scene, pxW, pxH);
+      canvas.toBlob(function(blob) {
+        if (blob) resolve(blob);
+        else reject(new Error('Could not encode the canvas as ' + type + '.'));
+      }, type, exportOpts.quality);
+    });
+  }
+
+  // ── APPLY ─────────────────────────────────────────────────────────────────
+  // Inline style properties written in dataUrl mode, restored by destroy()
+  var BG_STYLE_PROPS = ['backgroundImage', 'backgroundSize', 'backgroundPosition', 'backgroundRepeat'];
+
+  // Gives each async instance its own worker channel (see buildSceneAsync)
+  var applyCounter = 0;
+
+  /**
+   * Applies a waveline background to a DOM element.
+   *
+   * Three modes are available:
+   *
+   * - 'dataUrl' (default): encodes the SVG as a data URI and sets it as the
+   *   element's CSS background-image. Fast and simple; SVG is not in the DOM.
+   *
+   * - 'inline': inserts the SVG as a real DOM node inside a positioned wrapper
+   *   (position:absolute; z-index:-1), placed behind the element's content.
+   *   The element gets position:relative if it was static.
+   *   Use backgroundColor option to provide the fill; do not set a CSS
+   *   background on the container, as it would hide the SVG layer.
+   *
+   * - 'canvas': same wrapper as inline mode, holding a <canvas> drawn at
+   *   devicePixelRatio instead of an SVG node. Avoids building and
+   *   repainting huge SVG path strings for dense backgrounds; redrawn
+   *   automatically when the element resizes.
+   *
+   * With `interactive: true` (or an object, see INTERACTIVE_DEFAULTS), the
+   * terrain reacts to the pointer and optionally to scrolling, in inline and
+   * canvas modes only (re-encoding a dataUrl per frame would be too slow).
+   *
+   * With `autoSize: true` (or `{ debounce: ms }`), the viewBox and grid are
+   * derived from the element's box so the pattern matches its real aspect
+   * ratio instead of being cropped from 16:9, and a debounced ResizeObserver
+   * re-renders when the element resizes. The seed is kept, and the field is
+   * sampled with keepAspect, so the terrain stays visually continuous.
+   *
+   * DOM elements listed in `exclude` are measured against the element, and
+   * the mask follows them when either resizes.
+   *
+   * A `heightmap` image, text or SVG is rasterised with loadHeightmap()
+   * first; the pattern appears once it is loaded, and ready() waits for it.
+   *
+   * With `theme: { light, dark, class }`, the options of the current colour
+   * scheme are laid over the others, and the background is re-rendered when
+   * the scheme changes (see colorScheme). The seed stays, so only colours
+   * change if the schemes only set colours. Inline SVGs can follow themes
+   * without re-rendering through `cssVars` instead.
+   *
+   * With `layers`, the composition shares one wrapper and one SVG, and
+   * updateLayer() re-renders a single layer (in inline mode, only its <g>).
+   *
+   * With `tileable: true`, dataUrl mode repeats the pattern as tiles
+   * `tileSize` CSS pixels wide (default 400) instead of covering the
+   * element; inline and canvas modes still show a single tile.
+   *
+   * With `async: true`, scenes are built in a Web Worker (see
+   * generateWavelineSvgAsync): the first render, update() and resize
+   * re-renders no longer block the page, outdated results are dropped, and
+   * ready() tells when the latest one is on screen. Errors in options then
+   * reject ready() instead of being thrown by update().
+   *
+   * Options go through normalizeOptions(): invalid values are repaired with a
+   * warning, or throw a WavelineOptionError with `strict: true`.
+   *
+   * Returns an instance that remembers the wrapper and every style it changed.
+   * The seed is resolved once (random if omitted), so update() keeps the same
+   * terrain unless a new seed is passed. Call destroy() before re-applying to
+   * the same element in inline mode, otherwise SVG layers stack up.
+   *
+   * @param {HTMLElement} element - Target DOM element.
+   * @param {object}      options - Same options as generateWavelineSvg().
+   * @param {string}      mode    - 'dataUrl', 'inline' or 'canvas'. Default: 'dataUrl'.
+   * @returns {object} Instance with update(), updateLayer(), regenerate(),
+   *                   ready(), getSvg(), getOptions() and destroy().
+   */
+  function applyWavelineBackground(element, options, mode) {
+    mode = mode || 'dataUrl';
+
+    // Private, normalised copy: later updates never mutate the caller's object
+    var current = normalizeOptions(options);
+
+    var dynamic   = {};    // per-frame options from interaction (bumps, fieldOffset)
+    var heightmap = null;  // { source, map }: heightmap source being rasterised
+    var pending   = null;  // latest async render or heightmap load, see ready()
+    var scene     = current.async || !heightmapReady(current) ? null : buildScene(resolveOptions(current));
+    var svgString = null;  // serialised lazily: canvas mode may never need it
+    var channel   = 'apply-' + (++applyCounter);
+    var saved     = {};    // inline styles as they were before apply()
+    var wrapper   = null;
+    var canvas    = null;
+    var observer  = null;
+    var watched   = [];    // resize observers of DOM elements in `exclude`
+    var destroyed = false;
+    var interaction       = null;
+    var interactionConfig = null;
+    var themeWatch        = null;
+    var themeConfig       = null;
+
+    if (mode === 'dataUrl') {
+      BG_STYLE_PROPS.forEach(function(prop) { saved[prop] = element.style[prop]; });
+    } else {
+      saved.position = element.style.position;
+      wrapper = createInlineWrapper(element);
+      if (mode === 'canvas') {
+        canvas = document.createElement('canvas');
+        canvas.style.width   = '100%';
+        canvas.style.height  = '100%';
+        canvas.style.display = 'block'; // remove default inline bottom gap
+        wrapper.appendChild(canvas);
+      }
+    }
+
+    /**
+     * Options actually rendered: stored options + element size + current
+     * theme + interaction, with the rasterised heightmap swapped in and DOM elements in `exclude`
+     * measured into rectangles.
+     */
+    function resolveOptions(opts) {
+      var resolved = withElementSize(opts);
+      if (opts.theme) resolved = assign(assign({}, resolved), opts.theme[colorScheme(element, opts.theme)]);
+      if (dynamic.bumps || dynamic.fieldOffset) resolved = assign(assign({}, resolved), dynamic);
+      if (heightmap && heightmap.map && heightmap.source === resolved.heightmap) {
+        resolved = assign(assign({}, resolved), { heightmap: heightmap.map });
+      }
+      return excludedElements(resolved.exclude).length
+        ? assign(assign({}, resolved), { exclude: measureExclusions(element, resolved) })
+        : resolved;
+    }
+
+    /**
+     * With autoSize, overrides width/height/grid with values derived from
+     * the element's current box; otherwise returns opts unchanged.
+     */
+    function withElementSize(opts) {
+      if (!opts.autoSize) return opts;
+      var size = measureElement(element, opts);
+      return size ? assign(assign({}, opts), size) : opts;
+    }
+
+    /** Replaces the current scene; the SVG string is rebuilt on demand. */
+    function setScene(next) {
+      scene     = next;
+      svgString = null;
+    }
+
+    function getSvgString() {
+      if (!scene) return '';
+      if (svgString === null) svgString = sceneToSvg(scene);
+      return svgString;
+    }
+
+    /**
+     * Rebuilds the scene for `next` options, then commits them as current and
+     * displays it. Synchronously, nothing is changed if the options throw;
+     * with `async`, the options are committed right away and the scene is
+     * shown when the worker returns it, unless a newer refresh superseded it.
+     */
+    function refresh(next) {
+      if (!heightmapReady(next)) {
+        current = next;
+        return;
+      }
+      if (!next.async) {
+        setScene(buildScene(resolveOptions(next)));
+        current = next;
+        pending = null;
+        render();
+        return;
+      }
+      current = next;
+      setPending(buildSceneAsync(resolveOptions(next), channel).then(function(built) {
+        if (destroyed) return;
+        setScene(built);
+        render();
+      }, function(err) {
+        if (err.name !== 'AbortError') throw err;
+      }));
+    }
+
+    /**
+     * Stores the promise ready() returns. Its rejection is marked as
+     * handled, so a failure nobody asks ready() about is not reported as an
+     * unhandled rejection (fatal in Node); ready() still rejects with it.
+     */
+    function setPending(promise) {
+      promise.catch(function() {});
+      pending = promise;
+    }
+
+    /**
+     * False while the heightmap of `opts` is an image, text or SVG still
+     * being rasterised. The first call for a source starts loading it, then
+     * refreshes with the current options once it is ready.
+     */
+    function heightmapReady(opts) {
+      if (!opts.heightmap || isPixelData(opts.heightmap)) return true;
+      if (heightmap && heightmap.source === opts.heightmap) return !!heightmap.map;
+      var entry = heightmap = { source: opts.heightmap, map: null };
+      setPending(loadHeightmap(opts.heightmap).then(function(map) {
+        if (destroyed || heightmap !== entry) return;
+        entry.map = map;
+        refresh(current);
+        return pending;
+      }));
+      return false;
+    }
+
+    /**
+     * Like refresh(), but `next` only differs from current in layer `index`:
+     * synchronously, only that layer is rebuilt and, in inline mode, only its
+     * <g> is replaced. With async (or before the first scene) the whole
+     * composition goes through refresh(), so worker results stay in order.
+     */
+    function refreshLayer(next, index) {
+      if (next.async || !scene || !scene.layers) return refresh(next);
+      var layer  = buildLayer(normalizeOptions(resolveOptions(next)), index);
+      var layers = scene.layers.slice();
+      layers[index] = layer;
+      setScene(assign(assign({}, scene), { layers: layers }));
+      current = next;
+      pending = null;
+      if (mode === 'inline') setWrapperLayer(wrapper, scene, index);
+      else render();
+    }
+
+    function render() {
+      if (!scene) return; // async: first scene not built yet
+      if (mode === 'canvas') {
+        renderCanvas(canvas, scene, element.clientWidth, element.clientHeight);
+      } else if (mode === 'dataUrl') {
+        // Encode as a percent-encoded data URI and apply as CSS background
+        var encoded = encodeURIComponent(getSvgString());
+        element.style.backgroundImage    = 'url("data:image/svg+xml;charset=UTF-8,' + encoded + '")';
+        if (current.tileable) {
+          // Tiles of tileSize CSS px wide, repeated from the top-left corner
+          var tileW = current.tileSize, tileH = tileW * scene.height / scene.width;
+          element.style.backgroundSize     = tileW + 'px ' + tileH + 'px';
+          element.style.backgroundPosition = '0 0';
+          element.style.backgroundRepeat   = 'repeat';
+        } else {
+          element.style.backgroundSize     = 'cover';
+          element.style.backgroundPosition = 'center';
+          element.style.backgroundRepeat   = 'no-repeat';
+        }
+      } else {
+        setWrapperSvg(wrapper, getSvgString());
+      }
+    }
+
+    /**
+     * Re-measures DOM elements in `exclude` and redraws with the new mask.
+     * The terrain does not depend on it, so the scene is kept.
+     */
+    function refreshMask() {
+      if (!scene) return;
+      var resolved = resolveOptions(current);
+      setScene(assign(assign({}, scene), { mask: sceneMask(resolved, scene.width, scene.height) }));
+      render();
+    }
+
+    /**
+     * Starts or stops watching the element's size. Needed with autoSize
+     * (new viewBox), in canvas mode (new backing-store size) and with DOM
+     * elements in `exclude` (new positions; they are watched too).
+     */
+    function syncResizeObserver() {
+      var elements = excludedElements(current.exclude);
+      var watch    = current.autoSize || mode === 'canvas' || elements.length > 0;
+      if (watch && !observer) {
+        observer = observeResize(element, autoSizeDebounce(current.autoSize), function() {
+          if (destroyed) return;
+          if (current.autoSize) refresh(current);
+          else if (excludedElements(current.exclude).length) refreshMask();
+          else render();
+        });
+      } else if (!watch && observer) {
+        observer.disconnect();
+        observer = null;
+      }
+
+      watched.forEach(function(o) { if (o) o.disconnect(); });
+      watched = elements.map(function(el) {
+        return observeResize(el, AUTO_SIZE_DEBOUNCE, function() {
+          if (!destroyed) refreshMask();
+        });
+      });
+    }
+
+    /** Attaches, re-attaches or detaches interaction to match current.interactive. */
+    function syncInteraction() {
+      var config = mode !== 'dataUrl' && current.interactive ? current.interactive : null;
+      if (config === interactionConfig) return;
+      if (interaction) interaction.detach();
+      interaction = null;
+      interactionConfig = config;
+      if (dynamic.bumps || dynamic.fieldOffset) {
+        // Drop the last bump / offset from what is displayed
+        dynamic = {};
+        refresh(current);
+      }
+      if (config) {
+        interaction = attachInteraction(element, config === true ? {} : config, function(next) {
+          if (destroyed) return;
+          dynamic = next;
+          refresh(current);
+        }, function() {
+          return withElementSize(current);
+        });
+      }
+    }
+
+    /** Starts, restarts or stops following the colour scheme to match current.theme. */
+    function syncTheme() {
+      var config = current.theme || null;
+      if (config === themeConfig) return;
+      if (themeWatch) themeWatch.disconnect();
+      themeWatch  = null;
+      themeConfig = config;
+      if (config) {
+        themeWatch = watchColorScheme(element, config, function() {
+          if (!destroyed) refresh(current);
+        });
+      }
+    }
+
+    if (current.async) refresh(current);
+    else render();
+    syncResizeObserver();
+    syncInteraction();
+    syncTheme();
+
+    return {
+      element: element,
+      mode:    mode,
+
+      /**
+       * Merges new options into the current ones and re-renders in place.
+       * Passing `preset` starts over from that preset instead.
+       * @param {object} partialOptions - Options to change.
+       * @returns {object} This instance.
+       */
+      update: function(partialOptions) {
+        if (destroyed) return this;
+        // A new preset starts over from it rather than from current options
+        var base   = partialOptions && partialOptions.preset !== undefined ? {} : current;
+        var merged = assign(assign({}, base), partialOptions);
+        var next;
+        try {
+          next = normalizeOptions(merged);
+        } catch (err) {
+          // async: invalid options reject ready(), like worker errors do
+          if (!merged.async) throw err;
+          setPending(Promise.reject(err));
+          return this;
+        }
+        refresh(next);
+        syncResizeObserver();
+        syncInteraction();
+        syncTheme();
+        return this;
+      },
+
+      /**
+       * Merges new options into one layer of a `layers` composition and
+       * re-renders only that layer; the others keep their scene.
+       * @param {number} index          - Layer index in options.layers.
+       * @param {object} partialOptions - Options to change in that layer.
+       * @returns {object} This instance.
+       */
+      updateLayer: function(index, partialOptions) {
+        if (destroyed) return this;
+        if (!current.layers || !current.layers[index]) {
+          throw new Error('No layer ' + index + ' to update.');
+        }
+        var layers = current.layers.slice();
+        layers[index] = assign(assign({}, layers[index]), partialOptions);
+        refreshLayer(normalizeOptions(assign(assign({}, current), { layers: layers })), index);
+        return this;
+      },
+
+      /**
+       * Re-renders with a new seed, keeping every other option.
+       * @param {number} [newSeed] - New seed. Random if omitted.
+       * @returns {object} This instance.
+       */
+      regenerate: function(newSeed) {
+        return this.update({ seed: newSeed !== undefined ? newSeed : randomSeed() });
+      },
+
+      /**
+       * Resolves once the latest requested render is displayed (immediately
+       * unless `async` is set); rejects if its options were invalid.
+       * @returns {Promise}
+       */
+      ready: function() {
+        return pending || Promise.resolve();
+      },
+
+      /**
+       * @returns {string} The SVG markup of the current pattern (in canvas
+       *                   mode, the SVG equivalent of what is drawn; empty
+       *                   until the first async render).
+       */
+      getSvg: function() {
+        return getSvgString();
+      },
+
+      /**
+       * @returns {object} A copy of the resolved options (including the seed
+       *                   and, with autoSize, the size derived from the element).
+       */
+      getOptions: function() {
+        return assign({}, withElementSize(current));
+      },
+
+      /**
+       * Removes the background and restores the element's original inline
+       * styles (background-* in dataUrl mode, position in inline and canvas modes).
+       */
+      destroy: function() {
+        if (destroyed) return;
+        destroyed = true;
+        if (observer) observer.disconnect();
+        watched.forEach(function(o) { if (o) o.disconnect(); });
+        if (interaction) interaction.detach();
+        if (themeWatch) themeWatch.disconnect();
+        if (mode === 'dataUrl') {
+          BG_STYLE_PROPS.forEach(function(prop) { element.style[prop] = saved[prop]; });
+        } else {
+          if (wrapper.parentNode) wrapper.parentNode.removeChild(wrapper);
+          element.style.position = saved.position;
+        }
+      }
+    };
+  }
+
+  // ── AUTO SIZE ─────────────────────────────────────────────────────────────
+  // Default delay (ms) between the last resize event and the re-render
+  var AUTO_SIZE_DEBOUNCE = 150;
+
+  /**
+   * Derives viewBox and grid dimensions from an element's rendered box.
+   *
+   * The viewBox keeps the requested width (default 100) and takes its height
+   * from the element's aspect ratio. The grid keeps the requested number of
+   * cells (default 160 × 90) but redistributes them to the same aspect
+   * ratio, so cells stay square and generation cost stays constant.
+   *
+   * @param {HTMLElement} element - Element to measure.
+   * @param {object}      opts    - Options providing width/gridWidth/gridHeight.
+   * @returns {object|null} { width, height, gridWidth, gridHeight, keepAspect },
+   *                        or null if the element has no size (e.g. hidden).
+   */
+  function measureElement(element, opts) {
+    // Padding box: the area covered by both background-image and the wrapper
+    var boxW = element.clientWidth;
+    var boxH = element.clientHeight;
+    if (!boxW || !boxH) return null;
+
+    var aspect = boxW / boxH;
+    var width  = opts.width;
+    var cells  = opts.gridWidth * opts.gridHeight;
+    var gridW  = Math.max(2, Math.round(Math.sqrt(cells * aspect)));
+    var gridH  = Math.max(2, Math.round(cells / gridW));
+
+    return {
+      width:      width,
+      height:     +(width / aspect).toFixed(3),
+      gridWidth:  gridW,
+      gridHeight: gridH,
+      keepAspect: true
+    };
+  }
+
+  /** Reads the debounce delay from an autoSize option (true or { debounce }). */
+  function autoSizeDebounce(autoSize) {
+    return typeof autoSize === 'object' && autoSize.debounce !== undefined
+      ? autoSize.debounce
+      : AUTO_SIZE_DEBOUNCE;
+  }
+
+  /**
+   * Calls onResize, debounced, whenever the element's box size changes.
+   * The initial notification fired by ResizeObserver on observe() is ignored.
+   *
+   * @param {HTMLElement} element  - Element to observe.
+   * @param {number}      delay    - Debounce delay in milliseconds.
+   * @param {function}    onResize - Callback.
+   * @returns {{disconnect: function}|null} null if ResizeObserver is unsupported.
+   */
+  function observeResize(element, delay, onResize) {
+    if (typeof ResizeObserver === 'undefined') return null;
+
+    var lastW = null, lastH = null, timer = null;
+    var ro = new ResizeObserver(function(entries) {
+      var rect = entries[entries.length - 1].contentRect;
+      var w = Math.round(rect.width), h = Math.round(rect.height);
+      var first = lastW === null;
+      if (w === lastW && h === lastH) return;
+      lastW = w; lastH = h;
+      if (first) return;
+      clearTimeout(timer);
+      timer = setTimeout(onResize, delay);
+    });
+    ro.observe(element);
+
+    return {
+      disconnect: function() {
+        clearTimeout(timer);
+        ro.disconnect();
+      }
+    };
+  }
+
+  // ── INTERACTION ───────────────────────────────────────────────────────────
+  // Defaults for the `interactive` option of apply()
+  var INTERACTIVE_DEFAULTS = {
+    pointer:  true,  // cursor / touch adds a bump under the pointer
+    radius:   0.15,  // bump radius, fraction of the element's shorter side
+    strength: 0.35,  // bump height (negative: dent), 1 ≈ full terrain height
+    decay:    0.85,  // per-frame easing factor in [0, 1): higher = slower follow/fade
+    scroll:   0      // parallax: viewBox heights of terrain slide per viewport scrolled
+  };
+
+  /**
+   * Makes a background react to the pointer and to scrolling.
+   *
+   * Pointer (or touch) movement over the element eases a bump towards the
+   * pointer; leaving the element fades it out. Scrolling slides the terrain
+   * for a parallax effect. Input only records where things should go: at
+   * most one frame per animation frame is rendered, and only while
+   * something is still changing, so the loop stops once the easing settles.
+   * All listeners are passive.
+   *
+   * @param {HTMLElement} element  - Element receiving pointer events.
+   * @param {object}      config   - INTERACTIVE_DEFAULTS overrides.
+   * @param {function(object)} onChange - Called with { bumps, fieldOffset }
+   *                                      options to merge into the render.
+   * @param {function(): object} getOptions - Options being rendered, whose
+   *                                      width and height place the pointer
+   *                                      in the viewBox (see coverTransform).
+   * @returns {{detach: function}}
+   */
+  function attachInteraction(element, config, onChange, getOptions) {
+    var cfg = assign(assign({}, INTERACTIVE_DEFAULTS), config);
+    var listen = { passive: true };
+
+    var target  = { x: 0.5, y: 0.5, s: 0 };  // where the pointer wants the bump
+    var state   = { x: 0.5, y: 0.5, s: 0 };  // eased bump actually rendered
+    var scrollY = 0;
+    var pointer = null; // client position of the latest pointer move, not yet applied
+    var rafId   = null;
+    var last    = null; // last emitted values, to skip identical frames
+
+    function emit() {
+      var next = {
+        bumps: state.s > 0.001
+          ? [{ x: state.x, y: state.y, radius: cfg.radius, strength: cfg.strength * state.s }]
+          : undefined,
+        fieldOffset: cfg.scroll ? [0, scrollY * cfg.scroll] : undefined
+      };
+      var key = JSON.stringify(next);
+      if (key === last) return;
+      last = key;
+      onChange(next);
+    }
+
+    function frame() {
+      rafId = null;
+      if (pointer) aimAt(pointer);
+      pointer = null;
+      var k = 1 - cfg.decay;
+      state.x += (target.x - state.x) * k;
+      state.y += (target.y - state.y) * k;
+      state.s += (target.s - state.s) * k;
+      var settled = Math.abs(target.x - state.x) < 1e-3
+                 && Math.abs(target.y - state.y) < 1e-3
+                 && Math.abs(target.s - state.s) < 1e-3;
+      if (settled) state = assign({}, target);
+      emit();
+      if (!settled) schedule();
+    }
+
+    function schedule() {
+      if (rafId === null) rafId = window.requestAnimationFrame(frame);
+    }
+
+    /** Moves the target under a client position, through the viewBox crop. */
+    function aimAt(p) {
+      var opts  = getOptions();
+      var cover = coverTransform(element, opts);
+      if (!cover.scale) return;
+      target.x = (p.x - cover.left) / cover.scale / opts.width;
+      target.y = (p.y - cover.top)  / cover.scale / opts.height;
+      // First contact: start the bump under the pointer rather than sliding in
+      if (state.s < 0.001) { state.x = target.x; state.y = target.y; }
+      target.s = 1;
+    }
+
+    function onPointerMove(e) {
+      pointer = { x: e.clientX, y: e.clientY };
+      schedule();
+    }
+
+    function onPointerLeave() {
+      pointer  = null;
+      target.s = 0;
+      schedule();
+    }
+
+    function onScroll() {
+      // Applied as is on the next frame: parallax tracks the scroll without easing
+      scrollY = window.pageYOffset / (window.innerHeight || 1);
+      schedule();
+    }
+
+    if (cfg.pointer) {
+      element.addEventListener('pointermove',   onPointerMove,  listen);
+      element.addEventListener('pointerleave',  onPointerLeave, listen);
+      element.addEventListener('pointercancel', onPointerLeave, listen);
+    }
+    if (cfg.scroll) {
+      window.addEventListener('scroll', onScroll, listen);
+      onScroll();
+    }
+
+    return {
+      detach: function() {
+        if (rafId !== null) window.cancelAnimationFrame(rafId);
+        rafId = null;
+        element.removeEventListener('pointermove',   onPointerMove,  listen);
+        element.removeEventListener('pointerleave',  onPointerLeave, listen);
+        element.removeEventListener('pointercancel', onPointerLeave, listen);
+        window.removeEventListener('scroll', onScroll, listen);
+      }
+    };
+  }
+
+  // ── THEME ─────────────────────────────────────────────────────────────────
+  /**
+   * Current colour scheme for an element: with config.class, 'dark' when
+   * the element or one of its ancestors has that class; otherwise from the
+   * prefers-color-scheme media query.
+   * @param {HTMLElement} element
+   * @param {object}      config - `theme` option.
+   * @returns {string} 'light' or 'dark'.
+   */
+  function colorScheme(element, config) {
+    if (config.class) {
+      for (var node = element; node && node.classList; node = node.parentNode) {
+        if (node.classList.contains(config.class)) return 'dark';
+      }
+      return 'light';
+    }
+    var query = window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)');
+    return query && query.matches ? 'dark' : 'light';
+  }
+
+  /**
+   * Calls onChange(scheme) whenever colorScheme() changes: on class changes
+   * anywhere in the document with config.class, else on media query changes.
+   * @param {HTMLElement} element
+   * @param {object}      config   - `theme` option.
+   * @param {function(string)} onChange
+   * @returns {{disconnect: function}}
+   */
+  function watchColorScheme(element, config, onChange) {
+    var scheme = colorScheme(element, config);
+    function check() {
+      var next = colorScheme(element, config);
+      if (next === scheme) return;
+      scheme = next;
+      onChange(next);
+    }
+
+    if (config.class) {
+      if (typeof MutationObserver === 'undefined') return { disconnect: function() {} };
+      var observer = new MutationObserver(check);
+      observer.observe(document.documentElement, { attributes: true, attributeFilter: ['class'], subtree: true });
+      return { disconnect: function() { observer.disconnect(); } };
+    }
+
+    var query = window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)');
+    if (!query) return { disconnect: function() {} };
+    if (query.addEventListener) query.addEventListener('change', check);
+    else query.addListener(check); // Safari < 14
+    return {
+      disconnect: function() {
+        if (query.removeEventListener) query.removeEventListener('change', check);
+        else query.removeListener(check);
+      }
+    };
+  }
+
+  // ── INLINE WRAPPER ────────────────────────────────────────────────────────
+  /**
+   * Creates a full-bleed, absolutely positioned wrapper behind the content of
+   * an element and inserts it as the element's first child.
+   * The element gets position:relative if it was static.
+   *
+   * @param {HTMLElement} element - Target DOM element.
+   * @returns {HTMLDivElement} The (empty) wrapper.
+   */
+  function createInlineWrapper(element) {
+    var wrapper = document.createElement('div');
+    wrapper.style.position      = 'absolute';
+    wrapper.style.inset         = '0';        // top/right/bottom/left: 0
+    wrapper.style.zIndex        = '-1';       // behind all content
+    wrapper.style.pointerEvents = 'none';     // non-interactive
+    wrapper.style.overflow      = 'hidden';   // safety clip
+
+    // Ensure the container establishes a stacking context for the wrapper
+    var pos = window.getComputedStyle(element).position;
+    if (pos === 'static' || pos === '') element.style.position = 'relative';
+
+    // Insert before first child so the wrapper stays at the bottom of the stack
+    element.insertBefore(wrapper, element.firstChild);
+    return wrapper;
+  }
+
+  /**
+   * Replaces the <g data-layer="index"> group of the SVG in the wrapper with
+   * the scene's current version of that layer, leaving the other layers'
+   * nodes untouched. Falls back to replacing the whole SVG.
+   * @param {HTMLElement} wrapper
+   * @param {object}      scene - Layered scene.
+   * @param {number}      index
+   */
+  function setWrapperLayer(wrapper, scene, index) {
+    var old = wrapper.querySelector('g[data-layer="' + index + '"]');
+    if (!old) return setWrapperSvg(wrapper, sceneToSvg(scene));
+    // Parse inside an <svg> so the group gets the SVG namespace
+    var holder = document.createElement('div');
+    holder.innerHTML = '<svg xmlns="http://www.w3.org/2000/svg">' + layerToSvg(scene, index) + '</svg>';
+    old.parentNode.replaceChild(holder.firstChild.firstChild, old);
+  }
+
+  /**
+   * Replaces the SVG inside an inline wrapper.
+   * @param {HTMLDivElement} wrapper   - Wrapper from createInlineWrapper().
+   * @param {string}         svgString - SVG markup.
+   */
+  function setWrapperSvg(wrapper, svgString) {
+    wrapper.innerHTML = svgString;
+
+    // Make the SVG fill the wrapper exactly, without inline spacing
+    var svgEl = wrapper.querySelector('svg');
+    svgEl.style.width   = '100%';
+    svgEl.style.height  = '100%';
+    svgEl.style.display = 'block'; // remove default inline bottom gap
+  }
+
+  // ── ANIMATION ─────────────────────────────────────────────────────────────
+  /**
+   * Animates a waveline background in inline mode.
+   *
+   * The terrain is re-contoured on every frame with an advancing `time`
+   * option (see generateField), so the lines slowly drift and morph.
+   * Rendering is throttled to `fps` and suspended while the element is
+   * offscreen or the tab is hidden. When the user prefers reduced motion,
+   * a single still frame is rendered and play() has no effect.
+   *
+   * Extra options on top of those of generateWavelineSvg():
+   * - fps      {number}  Target frame rate. Default: 24.
+   * - speed    {number}  Time units advanced per second. Default: 0.25.
+   * - autoplay {boolean} Start playing immediately. Default: true.
+   * - respectReducedMotion {boolean} Honour prefers-reduced-motion. Default: true.
+   *
+   * Built on an inline apply() instance: the seed is fixed once at start
+   * (random if omitted), so the terrain stays continuous between frames.
+   *
+   * @param {HTMLElement} element - Target DOM element.
+   * @param {object}      options - generateWavelineSvg() options plus the above.
+   * @returns {{play: function, pause: function, seek: function(number),
+   *            destroy: function, isPlaying: function(): boolean,
+   *            getTime: function(): number}} Animation handle.
+   */
+  function animateWavelineBackground(element, options) {
+    options = options || {};
+
+    var fps      = options.fps   || 24;
+    var speed    = options.speed !== undefined ? options.speed : 0.25;
+    var autoplay = options.autoplay !== false;
+    var frameMs  = 1000 / fps;
+
+    var time      = options.time || 0;
+    var playing   = false;   // requested by the caller
+    var onscreen  = true;    // updated by IntersectionObserver
+    var rafId     = null;
+    var lastTick  = null;
+    var destroyed = false;
+
+    // Inline instance that owns the SVG layer; it also fixes the seed
+    var instance = applyWavelineBackground(element, assign(assign({}, options), { time: time }), 'inline');
+
+    var motionQuery = options.respectReducedMotion !== false && window.matchMedia
+      ? window.matchMedia('(prefers-reduced-motion: reduce)')
+      : null;
+
+    function render() {
+      instance.update({ time: time });
+    }
+
+    function canRun() {
+      return playing && onscreen && !document.hidden
+          && !(motionQuery && motionQuery.matches);
+    }
+
+    function loop(now) {
+      rafId = window.requestAnimationFrame(loop);
+      if (lastTick === null) { lastTick = now; return; }
+      var elapsed = now - lastTick;
+      if (elapsed < frameMs) return;
+      // Keep the remainder so the average rate matches fps; cap long gaps
+      // (e.g. a stalled tab) so the terrain does not jump ahead.
+      var step = elapsed - (elapsed % frameMs);
+      lastTick += step;
+      time     += Math.min(step, 250) / 1000 * speed;
+      render();
+    }
+
+    // Starts or stops the frame loop to match the current state
+    function sync() {
+      if (destroyed) return;
+      if (canRun() && rafId === null) {
+        lastTick = null;
+        rafId = window.requestAnimationFrame(loop);
+      } else if (!canRun() && rafId !== null) {
+        window.cancelAnimationFrame(rafId);
+        rafId = null;
+      }
+    }
+
+    var observer = null;
+    if (typeof IntersectionObserver !== 'undefined') {
+      observer = new IntersectionObserver(function(entries) {
+        onscreen = entries[entries.length - 1].isIntersecting;
+        sync();
+      });
+      observer.observe(element);
+    }
+    document.addEventListener('visibilitychange', sync);
+    if (motionQuery) {
+      if (motionQuery.addEventListener) motionQuery.addEventListener('change', sync);
+      else motionQuery.addListener(sync); // Safari < 14
+    }
+
+    var handle = {
+      /** Starts (or resumes) the animation. */
+      play: function() {
+        playing = true;
+        sync();
+      },
+      /** Pauses the animation on the current frame. */
+      pause: function() {
+        playing = false;
+        sync();
+      },
+      /**
+       * Jumps to a given time and renders that frame immediately.
+       * @param {number} t - Time in animation units.
+       */
+      seek: function(t) {
+        if (destroyed) return;
+        time = t;
+        render();
+      },
+      /** Stops the animation, removes the SVG layer and listeners. */
+      destroy: function() {
+        if (destroyed) return;
+        playing = false;
+        sync();
+        destroyed = true;
+        if (observer) observer.disconnect();
+        document.removeEventListener('visibilitychange', sync);
+        if (motionQuery) {
+          if (motionQuery.removeEventListener) motionQuery.removeEventListener('change', sync);
+          else motionQuery.removeListener(sync);
+        }
+        instance.destroy();
+      },
+      /** @returns {boolean} Whether frames are currently being rendered. */
+      isPlaying: function() {
+        return rafId !== null;
+      },
+      /** @returns {number} Current animation time. */
+      getTime: function() {
+        return time;
+      }
+    };
+
+    if (autoplay) handle.play();
+    return handle;
+  }
+
+  // ── DECLARATIVE MARKUP ────────────────────────────────────────────────────
+  // <div data-waveline="inline" data-waveline-density="12">: the attribute
+  // value is the apply() mode, each data-waveline-* attribute an option.
+  var DATA_ATTRIBUTE = 'data-waveline';
+  var APPLY_MODES    = ['dataUrl', 'inline', 'canvas'];
+
+  // Options that can be written as attributes: everything but objects
+  var ATTRIBUTE_OPTIONS = Object.keys(OPTION_SCHEMA).filter(function(name) {
+    return OPTION_SCHEMA[name].type !== 'object';
+  });
+
+  // <waveline-bg> attributes named differently from the option, because
+  // the option name is a global HTML attribute
+  var ELEMENT_ATTRIBUTE_NAMES = { style: 'render' };
+
+  // element → { instance, seed }; the seed survives re-applies, so a
+  // random terrain stays the same when a mode changes or a node moves
+  var declared = typeof WeakMap !== 'undefined' ? new WeakMap() : null;
+
+  /** strokeColor → stroke-color */
+  function toKebabCase(name) {
+    return name.replace(/[A-Z]/g, function(c) { return '-' + c.toLowerCase(); });
+  }
+
+  /**
+   * @param {string} name   - Option name.
+   * @param {string} prefix - 'data-waveline-', or '' for <waveline-bg>.
+   * @returns {string} The attribute holding that option.
+   */
+  function attributeName(name, prefix) {
+    if (!prefix && ELEMENT_ATTRIBUTE_NAMES[name]) return ELEMENT_ATTRIBUTE_NAMES[name];
+    return prefix + toKebabCase(name);
+  }
+
+  /**
+   * Converts an attribute string to the option's type. Values that do not
+   * convert are returned as is, so checkOption() rejects them.
+   * @param {object} spec - OPTION_SCHEMA entry.
+   * @param {string} raw
+   * @returns {*}
+   */
+  function parseAttributeValue(spec, raw) {
+    switch (spec.type) {
+      case 'number':
+      case 'integer':
+        return raw.trim() === '' ? raw : Number(raw);
+      case 'boolean':
+        // Boolean attribute: present (empty) or "true" means true
+        return raw === '' || raw === 'true' ? true : raw === 'false' ? false : raw;
+      case 'array':
+        try { return JSON.parse(raw); } catch (e) { return raw; }
+      default:
+        return raw;
+    }
+  }
+
+  /**
+   * Reads options from attributes named prefix + kebab-case option name,
+   * e.g. data-waveline-stroke-color → strokeColor (see attributeName). Values are converted and
+   * checked against OPTION_SCHEMA; invalid ones are reported with
+   * console.warn and skipped, so the default applies as in the JS API.
+   * Options without an attribute are present but undefined, so that
+   * update() resets them when an attribute is removed.
+   *
+   * @param {HTMLElement} element
+   * @param {string}      prefix - 'data-waveline-' or '' (custom element).
+   * @returns {object} Options.
+   */
+  function readOptionAttributes(element, prefix) {
+    var options = {};
+    ATTRIBUTE_OPTIONS.forEach(function(name) {
+      var attr = attributeName(name, prefix);
+      var raw  = element.getAttribute(attr);
+      options[name] = undefined;
+      if (raw === null) return;
+
+      var value   = parseAttributeValue(OPTION_SCHEMA[name], raw);
+      var problem = checkOption(name, value);
+      if (problem) warn('ignoring ' + attr + '="' + raw + '": expected ' + problem + '.');
+      else options[name] = value;
+    });
+    return options;
+  }
+
+  /**
+   * Applies, updates or re-applies the background declared on an element.
+   * Errors are reported with console.warn: one broken element must not stop
+   * the others from rendering.
+   *
+   * @param {HTMLElement} element
+   * @param {string}      prefix - Attribute prefix, see readOptionAttributes.
+   * @param {string}      [mode] - apply() mode; default 'dataUrl'.
+   * @returns {object|null} The apply() instance.
+   */
+  function syncDeclared(element, prefix, mode) {
+    mode = mode || 'dataUrl';
+    if (APPLY_MODES.indexOf(mode) < 0) {
+      warn('unknown mode "' + mode + '", using "dataUrl".');
+      mode = 'dataUrl';
+    }
+
+    var record  = declared.get(element) || { instance: null, seed: undefined };
+    var options = readOptionAttributes(element, prefix);
+    if (options.seed === undefined) {
+      if (record.seed !== undefined) options.seed = record.seed;
+      else delete options.seed; // resolved by apply()
+    }
+
+    try {
+      if (record.instance && record.instance.mode === mode) {
+        record.instance.update(options);
+      } else {
+        releaseDeclared(element);
+        record.instance = applyWavelineBackground(element, options, mode);
+      }
+      record.seed = record.instance.getOptions().seed;
+    } catch (e) {
+      warn(e.message);
+    }
+    declared.set(element, record);
+    return record.instance;
+  }
+
+  /** Destroys the background applied from markup, keeping its seed. */
+  function releaseDeclared(element) {
+    var record = declared.get(element);
+    if (record && record.instance) {
+      record.instance.destroy();
+      record.instance = null;
+    }
+  }
+
+  /** Elements carrying data-waveline in root, root included. */
+  function findDeclared(root) {
+    var found = [];
+    if (root.nodeType !== 1 && root.nodeType !== 9) return found;
+    if (root.nodeType === 1 && root.hasAttribute(DATA_ATTRIBUTE)) found.push(root);
+    var nodes = root.querySelectorAll('[' + DATA_ATTRIBUTE + ']');
+    for (var i = 0; i < nodes.length; i++) found.push(nodes[i]);
+    return found;
+  }
+
+  /**
+   * Applies (or refreshes) every background declared with data-waveline
+   * attributes under root. Called automatically, once init() has run, on
+   * DOMContentLoaded and for content added later; call it by hand for
+   * elements in detached trees.
+   *
+   * @param {Element|Document} [root] - Default: document.
+   * @returns {object[]} The apply() instances.
+   */
+  function scanDeclared(root) {
+    if (!declared) return [];
+    return findDeclared(root || document).map(function(element) {
+      return syncDeclared(element, DATA_ATTRIBUTE + '-', element.getAttribute(DATA_ATTRIBUTE));
+    }).filter(Boolean);
+  }
+
+  /**
+   * @param {HTMLElement} element
+   * @returns {object|null} The apply() instance created from markup for this
+   *                        element (data-waveline or <waveline-bg>), if any.
+   */
+  function getDeclaredInstance(element) {
+    var record = declared && declared.get(element);
+    return record ? record.instance : null;
+  }
+
+  /**
+   * Keeps declarative backgrounds in sync with the document: new elements
+   * are applied, removed ones destroyed, changed attributes re-rendered.
+   */
+  function handleMutations(records) {
+    var changed = [];
+    records.forEach(function(record) {
+      if (record.type === 'attributes') {
+        if (changed.indexOf(record.target) < 0) changed.push(record.target);
+        return;
+      }
+      Array.prototype.forEach.call(record.removedNodes, function(node) {
+        findDeclared(node).forEach(function(element) {
+          if (!element.isConnected) releaseDeclared(element);
+        });
+      });
+      Array.prototype.forEach.call(record.addedNodes, function(node) {
+        findDeclared(node).forEach(function(element) {
+          if (changed.indexOf(element) < 0) changed.push(element);
+        });
+      });
+    });
+
+    changed.forEach(function(element) {
+      if (!element.isConnected) return;
+      if (element.hasAttribute(DATA_ATTRIBUTE)) {
+        syncDeclared(element, DATA_ATTRIBUTE + '-', element.getAttribute(DATA_ATTRIBUTE));
+      } else {
+        releaseDeclared(element); // data-waveline removed
+      }
+    });
+  }
+
+  /** Applies existing markup, then watches for later changes. */
+  function observeDeclared() {
+    scanDeclared(document);
+    if (typeof MutationObserver === 'undefined') return;
+    new MutationObserver(handleMutations).observe(document.documentElement, {
+      childList:       true,
+      subtree:         true,
+      attributes:      true,
+      attributeFilter: [DATA_ATTRIBUTE].concat(ATTRIBUTE_OPTIONS.map(function(name) {
+        return attributeName(name, DATA_ATTRIBUTE + '-');
+      }))
+    });
+  }
+
+  /**
+   * Registers <waveline-bg>: a block container whose attributes are the
+   * options in kebab case (stroke-color, grid-width...; `render` for style)
+   * plus `mode`.
+   * It is rendered when connected, re-rendered (once per task) when
+   * attributes change, and cleaned up when disconnected.
+   * Written as an ES5 constructor through Reflect.construct, like the rest
+   * of the library, instead of class syntax.
+   */
+  function defineWavelineElement() {
+    if (typeof customElements === 'undefined' || typeof Reflect === 'undefined'
+        || customElements.get('waveline-bg')) return;
+
+    function WavelineElement() {
+      return Reflect.construct(HTMLElement, [], WavelineElement);
+    }
+    WavelineElement.prototype = Object.create(HTMLElement.prototype);
+    WavelineElement.prototype.constructor = WavelineElement;
+    Object.setPrototypeOf(WavelineElement, HTMLElement);
+    WavelineElement.observedAttributes = ['mode'].concat(ATTRIBUTE_OPTIONS.map(function(name) {
+      return attributeName(name, '');
+    }));
+
+    WavelineElement.prototype.connectedCallback = function() {
+      this._wavelineConnected = true;
+      syncDeclared(this, '', this.getAttribute('mode'));
+    };
+
+    WavelineElement.prototype.disconnectedCallback = function() {
+      this._wavelineConnected = false;
+      releaseDeclared(this);
+    };
+
+    WavelineElement.prototype.attributeChangedCallback = function() {
+      // Batch changes made together (e.g. by a framework) into one render.
+      // Attributes reported on upgrade, before connectedCallback, are
+      // rendered by it: isConnected is already true for parsed elements.
+      var element = this;
+      if (!element._wavelineConnected || element._wavelineQueued) return;
+      element._wavelineQueued = true;
+      Promise.resolve().then(function() {
+        element._wavelineQueued = false;
+        if (element.isConnected) syncDeclared(element, '', element.getAttribute('mode'));
+      });
+    };
+
+    // Custom elements are inline by default; a stylesheet rule (rather than
+    // an inline style) lets page CSS override it
+    var style = document.createElement('style');
+    style.textContent = 'waveline-bg{display:block}';
+    (document.head || document.documentElement).appendChild(style);
+
+    customElements.define('waveline-bg', WavelineElement);
+  }
+
+  var declarativeStarted = false;
+
+  /**
+   * Wires markup support once the document is parsed: defines
+   * <waveline-bg> and applies data-waveline elements, now and as they are
+   * added. Automatic in the <script> build; module imports call it through
+   * WavelineBG.init() so that importing has no side effects. Idempotent.
+   */
+  function initDeclarative() {
+    if (!declared || declarativeStarted || typeof document === 'undefined') return;
+    declarativeStarted = true;
+    defineWavelineElement();
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', observeDeclared);
+    } else {
+      observeDeclared();
+    }
+  }
+
+  // Loaded as the scene worker (see workerSource): answer jobs
+  if (workerMode) serveWorkerJobs();
+  // In a page, as a <script>: support data-waveline attributes and <waveline-bg>
+  else if (autoInit && typeof document !== 'undefined' && document.documentElement) initDeclarative();
+
   // ── PUBLIC API ────────────────────────────────────────────────────────────
   /**
-   * WavelineBG public API exposed on window.
+   * WavelineBG public API: exposed on window in a browser, or as the module
+   * export under CommonJS/AMD.
    *
-   * @property {string}   version     - Library version string.
-   * @property {function} generateSvg - Generates and returns an SVG string.
-   * @property {function} apply       - Applies background to a DOM element.
+   * @property {string}   version             - Library version string.
+   * @property {function} generateSvg         - Generates and returns an SVG string.
+   * @property {function} generateSvgAsync    - generateSvg() in a Web Worker (Promise).
+   * @property {function} apply               - Applies background to a DOM element.
+   * @property {function} animate             - Applies an animated inline background.
+   * @property {function} toBlob              - Renders a PNG/WebP/JPEG Blob.
+   * @property {function} loadHeightmap       - Rasterises an image, text or SVG for `heightmap`.
+   * @property {object}   palettes            - Built-in palettes; extensible.
+   * @property {function} useD3               - Injects d3-contour as contouring backend.
+   * @property {function} normalizeOptions    - Resolves defaults, seed and invalid values.
+   * @property {function} validateOptions     - Lists invalid options without throwing.
+   * @property {function} WavelineOptionError - Error class for invalid options.
+   * @property {object}   presets             - register(), get(), list(), remove(), exportJSON(), importJSON().
+   * @property {function} encode              - Options → compact share code.
+   * @property {function} decode              - Share code → options.
+   * @property {function} init                - Starts markup support (automatic for <script>).
+   * @property {function} scan                - Applies data-waveline markup under a root.
+   * @property {function} getInstance         - Instance created from markup for an element.
    */
-  window.WavelineBG = {
-    version:     '1.0.0',
-    generateSvg: generateWavelineSvg,
-    apply:       applyWavelineBackground
+  return {
+    version:             '1.0.0',
+    generateSvg:         generateWavelineSvg,
+    generateSvgAsync:    generateWavelineSvgAsync,
+    apply:               applyWavelineBackground,
+    animate:             animateWavelineBackground,
+    toBlob:              toBlob,
+    loadHeightmap:       loadHeightmap,
+    palettes:            PALETTES,
+    useD3:               useD3,
+    normalizeOptions:    normalizeOptions,
+    validateOptions:     validateOptions,
+    WavelineOptionError: WavelineOptionError,
+    presets: {
+      register:   registerPreset,
+      get:        function(name) { return PRESETS.hasOwnProperty(name) ? assign({}, PRESETS[name]) : undefined; },
+      list:       function() { return Object.keys(PRESETS); },
+      remove:     function(name) { delete PRESETS[name]; },
+      exportJSON: exportPresets,
+      importJSON: importPresets
+    },
+    encode:              encodeOptions,
+    decode:              decodeOptions,
+    init:                initDeclarative,
+    scan:                scanDeclared,
+    getInstance:         getDeclaredInstance
   };
 
-})(window);
+});
@@ -0,0 +1,36 @@
+/**
+ * Waveline-BG v1.0.0 — ES module entry
+ *
+ * Re-exports the UMD build for bundlers and Node ESM only: the UMD file
+ * has no ES exports, so browsers cannot import this file natively (use a
+ * <script> tag and window.WavelineBG there). Contouring is built in;
+ * d3-contour (including the ESM-only v3+) can still be injected:
+ *
+ *   import WavelineBG, { generateSvg, useD3 } from 'waveline-bg';
+ *   import * as d3Contour from 'd3-contour';
+ *   useD3(d3Contour); // optional
+ *
+ * @license MIT
+ */
+import WavelineBG from './waveline-bg.js';
+
+export default WavelineBG;
+
+export var version          = WavelineBG.version;
+export var generateSvg      = WavelineBG.generateSvg;
+export var generateSvgAsync = WavelineBG.generateSvgAsync;
+export var apply            = WavelineBG.apply;
+export var animate          = WavelineBG.animate;
+export var toBlob           = WavelineBG.toBlob;
+export var loadHeightmap    = WavelineBG.loadHeightmap;
+export var palettes         = WavelineBG.palettes;
+export var useD3            = WavelineBG.useD3;
+export var presets          = WavelineBG.presets;
+export var encode           = WavelineBG.encode;
+export var decode           = WavelineBG.decode;
+export var normalizeOptions = WavelineBG.normalizeOptions;
+export var validateOptions  = WavelineBG.validateOptions;
+export var init             = WavelineBG.init;
+export var scan             = WavelineBG.scan;
+export var getInstance      = WavelineBG.getInstance;
+export var WavelineOptionError = WavelineBG.WavelineOptionError;
@@ -0,0 +1,59 @@
+/**
+ * Size budget: maxBytes must pick the least aggressive settings whose
+ * markup fits, never weaken settings given explicitly, and fall back to
+ * the smallest result when nothing fits.
+ *
+ *   npm test
+ */
+'use strict';
+
+var test       = require('node:test');
+var assert     = require('node:assert');
+var WavelineBG = require('../src/waveline-bg.js');
+
+var BASE = { seed: 1, field: 'fbm', density: 14 };
+
+/** generateSvg() of BASE with more options. */
+function svg(options) {
+  return WavelineBG.generateSvg(Object.assign({}, BASE, options));
+}
+
+test('leaves the markup alone when it already fits', function() {
+  var full = svg({});
+  assert.strictEqual(svg({ maxBytes: full.length }), full);
+});
+
+test('uses the first settings that fit', function() {
+  var full = svg({});
+  assert.strictEqual(svg({ maxBytes: full.length - 1 }), svg({ relative: true }));
+});
+
+test('fits every reachable budget', function() {
+  var full     = svg({}).length;
+  var smallest = svg({ maxBytes: 1 }).length;
+  [0.8, 0.5, 0.3, 0.15].forEach(function(share) {
+    var budget = Math.max(smallest, Math.round(full * share));
+    assert.ok(svg({ maxBytes: budget }).length <= budget, 'budget ' + budget);
+  });
+});
+
+test('returns the smallest result when nothing fits', function() {
+  var smallest = svg({ maxBytes: 1 });
+  assert.strictEqual(svg({ maxBytes: 100 }), smallest);
+  assert.ok(smallest.length <= svg({ maxBytes: Math.round(svg({}).length * 0.3) }).length);
+});
+
+test('never weakens settings given explicitly', function() {
+  var coarse = svg({ precision: 1, simplify: 0.3 });
+  assert.strictEqual(svg({ precision: 1, simplify: 0.3, maxBytes: coarse.length }), coarse);
+  // A lower precision than the budget's own steps is kept
+  var path = /<path d="([^"]+)"/.exec(svg({ precision: 0, maxBytes: 1 }))[1];
+  assert.doesNotMatch(path, /\d\.\d/);
+});
+
+test('covers a whole layered composition', function() {
+  var layers = [{}, { field: 'ridged', style: 'bands' }];
+  var full   = svg({ layers: layers }).length;
+  var budget = Math.round(full * 0.5);
+  assert.ok(svg({ layers: layers, maxBytes: budget }).length <= budget);
+});
@@ -0,0 +1,68 @@
+/**
+ * Share codes: encode() then decode() must reproduce the exact pattern,
+ * and decode() must refuse anything but the look of a background.
+ *
+ *   npm test
+ */
+'use strict';
+
+var test       = require('node:test');
+var assert     = require('node:assert');
+var WavelineBG = require('../src/waveline-bg.js');
+
+/** Asserts that options render the same after a round trip through a share code. */
+function assertRoundTrip(options) {
+  var code = WavelineBG.encode(options);
+  assert.strictEqual(WavelineBG.generateSvg(WavelineBG.decode(code)), WavelineBG.generateSvg(options), code);
+}
+
+test('round-trips options into the same pattern', function() {
+  assertRoundTrip({ seed: 42, density: 12, strokeColor: '#214d83' });
+  assertRoundTrip({ seed: 7, field: 'fbm', style: 'both', palette: 'ocean', bias: -0.3 });
+  assertRoundTrip({ seed: 9, indexEvery: 5, dash: [[], [1, 0.5]], jitter: 0.6, tileable: true });
+  assertRoundTrip({ seed: 3, layers: [{ field: 'ridged' }, { style: 'bands', opacity: 0.5, blend: 'multiply' }] });
+});
+
+test('round-trips themes and heightmap sources', function() {
+  var options = { seed: 5, theme: { dark: { palette: 'midnight' } }, heightmap: { text: 'ACME', mix: 0.6 } };
+  var decoded = WavelineBG.decode(WavelineBG.encode(options));
+  assert.deepStrictEqual(decoded.theme, options.theme);
+  assert.deepStrictEqual(decoded.heightmap, options.heightmap);
+});
+
+test('leaves defaults out and fixes the seed', function() {
+  assert.strictEqual(WavelineBG.encode({ seed: 42, density: 12, strokeColor: '#214d83' }), '1:d=12,s=42,sc=%23214d83');
+  assert.match(WavelineBG.encode({}), /^1:s=\d+$/);
+});
+
+test('ignores a leading #', function() {
+  var code = WavelineBG.encode({ seed: 42, density: 12 });
+  assert.deepStrictEqual(WavelineBG.decode('#' + code), WavelineBG.decode(code));
+});
+
+test('leaves runtime settings out of codes', function() {
+  assert.strictEqual(WavelineBG.encode({ seed: 1, async: true, autoSize: true, strict: true, d3Url: 'x.js' }), '1:s=1');
+});
+
+test('rejects codes that set runtime settings', function() {
+  assert.throws(function() { WavelineBG.decode('1:s=1,du=x.js'); }, /"d3Url" cannot be set/);
+  assert.throws(function() { WavelineBG.decode('1:s=1,ay=true'); }, /"async" cannot be set/);
+  var layers = encodeURIComponent(JSON.stringify([{ d3Url: 'x.js' }]));
+  assert.throws(function() { WavelineBG.decode('1:s=1,ly=' + layers); }, /"layers\[0\]\.d3Url" cannot be set/);
+});
+
+test('rejects malformed, unknown and newer codes', function() {
+  assert.throws(function() { WavelineBG.decode('1:s=1,ly=%5Bx'); }, /Invalid entry "ly=%5Bx"/);
+  assert.throws(function() { WavelineBG.decode('1:s=1,zz=1'); }, /Unknown entry "zz=1"/);
+  assert.throws(function() { WavelineBG.decode('1:s=1,constructor=1'); }, /Unknown entry/);
+  assert.throws(function() { WavelineBG.decode('9:s=1'); }, /version 9 is newer/);
+});
+
+test('refuses to encode what a code cannot hold', function() {
+  var field = function() { return 0; };
+  assert.throws(function() { WavelineBG.encode({ seed: 1, field: field }); }, /functions cannot be serialised/);
+  assert.throws(function() { WavelineBG.encode({ seed: 1, layers: [{ field: field }] }); }, /"layers\[0\]\.field"/);
+  assert.throws(function() {
+    WavelineBG.encode({ seed: 1, heightmap: { data: new Uint8Array(4), width: 2, height: 2 } });
+  }, /heightmap/);
+});
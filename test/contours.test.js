@@ -0,0 +1,106 @@
+/**
+ * Built-in marching squares vs d3-contour: on fixed seeds, both backends
+ * must produce byte-identical SVG, so switching backend never changes a
+ * background.
+ *
+ *   npm test
+ */
+'use strict';
+
+var test       = require('node:test');
+var assert     = require('node:assert');
+var d3Contour  = require('d3-contour');
+var WavelineBG = require('../src/waveline-bg.js');
+
+var FIELDS = ['sine', 'perlin', 'simplex', 'fbm', 'ridged'];
+var SEEDS  = [1, 42, 1955, 31337, 4294967295];
+
+/** Asserts that options render the same with the built-in contourer and with d3. */
+function assertSameOutput(options) {
+  var builtin = WavelineBG.generateSvg(options);
+  var d3      = WavelineBG.generateSvg(Object.assign({ d3: d3Contour }, options));
+  assert.strictEqual(builtin, d3, JSON.stringify(options));
+}
+
+test('matches d3-contour for every field type', function() {
+  FIELDS.forEach(function(field) {
+    SEEDS.forEach(function(seed) {
+      assertSameOutput({ field: field, seed: seed });
+    });
+  });
+});
+
+test('matches d3-contour with filled bands (hole nesting)', function() {
+  SEEDS.forEach(function(seed) {
+    assertSameOutput({ style: 'both', field: 'fbm', density: 16, seed: seed });
+  });
+});
+
+test('matches d3-contour on dense, coarse and non-square grids', function() {
+  assertSameOutput({ density: 20, freq: 12, seed: 7 });
+  assertSameOutput({ gridWidth: 12, gridHeight: 7, density: 9, seed: 7 });
+  assertSameOutput({ width: 40, height: 100, gridWidth: 40, gridHeight: 100, keepAspect: true, seed: 7 });
+});
+
+test('matches d3-contour on large grids', function() {
+  // 230,400 cells: too many for Math.min.apply() on the field range
+  assertSameOutput({ gridWidth: 640, gridHeight: 360, seed: 7 });
+});
+
+test('matches d3-contour on nested rings and saddles', function() {
+  // Concentric rings: exteriors inside holes inside exteriors
+  assertSameOutput({ field: function(x, y) { return Math.cos(Math.hypot(x, y) * 40); }, density: 7, seed: 1 });
+  // Checkerboard: ambiguous saddle cells everywhere
+  assertSameOutput({ field: function(x, y) { return Math.sin(x * 60) * Math.sin(y * 60); }, density: 5, seed: 1 });
+});
+
+test('matches d3-contour with tileable, bumps and layers', function() {
+  assertSameOutput({ tileable: true, field: 'perlin', seed: 3 });
+  assertSameOutput({ bumps: [{ x: 0.5, y: 0.5, radius: 0.05, strength: 2 }], seed: 3 });
+  assertSameOutput({ seed: 3, layers: [{ style: 'bands' }, { field: 'ridged', opacity: 0.5 }] });
+});
+
+test('handles a flat field', function() {
+  assertSameOutput({ field: function() { return 0; }, seed: 1 });
+});
+
+test('useD3() injects a backend and useD3(null) restores the built-in one', function() {
+  var calls = 0;
+  WavelineBG.useD3({ contours: function() { calls++; return d3Contour.contours(); } });
+  try {
+    WavelineBG.generateSvg({ seed: 1 });
+    assert.strictEqual(calls, 1);
+  } finally {
+    WavelineBG.useD3(null);
+  }
+  WavelineBG.generateSvg({ seed: 1 });
+  assert.strictEqual(calls, 1);
+  assert.throws(function() { WavelineBG.useD3({}); });
+});
+
+/** Absolute areas of the rings in an SVG's paths (absolute, linear commands). */
+function ringAreas(svg) {
+  var areas = [];
+  (svg.match(/ d="[^"]*"/g) || []).forEach(function(d) {
+    d.split('M').slice(1).forEach(function(ring) {
+      var n = ring.match(/-?[\d.]+/g).map(Number), area = 0;
+      for (var i = 0; i < n.length; i += 2) {
+        var j = (i + 2) % n.length;
+        area += n[i] * n[j + 1] - n[j] * n[i + 1];
+      }
+      areas.push(Math.abs(area / 2));
+    });
+  });
+  return areas;
+}
+
+test('minArea drops exactly the rings smaller than it', function() {
+  // Regression: the contourer's doubled ring area once shadowed the one
+  // minArea uses, which then kept rings down to half the limit
+  var options = { field: 'fbm', density: 16, seed: 7 };
+  var all     = ringAreas(WavelineBG.generateSvg(options));
+  var kept    = ringAreas(WavelineBG.generateSvg(Object.assign({ minArea: 4 }, options)));
+  assert.ok(all.some(function(a) { return a >= 2 && a < 4; }), 'has rings between minArea / 2 and minArea');
+  assert.strictEqual(kept.length, all.filter(function(a) { return a >= 4; }).length);
+  kept.forEach(function(a) { assert.ok(a >= 4, 'kept ring of area ' + a); });
+});
@@ -0,0 +1,64 @@
+/**
+ * Heightmaps from pixel data: grey levels and RGBA bytes must shape the
+ * terrain the same way, and changed pixels must show once their version
+ * changes.
+ *
+ *   npm test
+ */
+'use strict';
+
+var test       = require('node:test');
+var assert     = require('node:assert');
+var WavelineBG = require('../src/waveline-bg.js');
+
+var SIZE = 32;
+
+/** A SIZE × SIZE disc, 1 inside and 0 outside, as grey levels. */
+function disc(radius) {
+  var data = new Float32Array(SIZE * SIZE);
+  for (var i = 0; i < data.length; i++) {
+    data[i] = Math.hypot(i % SIZE - SIZE / 2, Math.floor(i / SIZE) - SIZE / 2) < radius ? 1 : 0;
+  }
+  return data;
+}
+
+/** Grey levels in [0, 1] as opaque RGBA bytes. */
+function toRgba(grey) {
+  var bytes = new Uint8ClampedArray(grey.length * 4);
+  for (var i = 0; i < grey.length; i++) {
+    bytes[i * 4] = bytes[i * 4 + 1] = bytes[i * 4 + 2] = grey[i] * 255;
+    bytes[i * 4 + 3] = 255;
+  }
+  return bytes;
+}
+
+/** generateSvg() shaped by pixel data. */
+function render(heightmap) {
+  return WavelineBG.generateSvg({ seed: 42, heightmap: Object.assign({ width: SIZE, height: SIZE, mix: 0.8 }, heightmap) });
+}
+
+test('shapes the terrain after the pixels', function() {
+  assert.notStrictEqual(render({ data: disc(8) }), WavelineBG.generateSvg({ seed: 42 }));
+  assert.notStrictEqual(render({ data: disc(8) }), render({ data: disc(12) }));
+});
+
+test('reads grey levels, bytes and RGBA alike', function() {
+  var grey  = disc(10);
+  var bytes = Uint8Array.from(grey, function(v) { return v * 255; });
+  assert.strictEqual(render({ data: bytes }), render({ data: grey }));
+  assert.strictEqual(render({ data: toRgba(grey) }), render({ data: grey }));
+});
+
+test('rejects pixel data of the wrong size', function() {
+  assert.throws(function() { render({ data: new Float32Array(10) }); }, WavelineBG.WavelineOptionError);
+  assert.throws(function() { WavelineBG.generateSvg({ heightmap: { text: 'ACME' } }); }, /loadHeightmap\(\)/);
+});
+
+test('renders pixels changed in place once the version changes', function() {
+  var data      = disc(6);
+  var heightmap = { data: data };
+  render(heightmap);
+  data.set(disc(12));
+  heightmap.version = 1;
+  assert.strictEqual(render(heightmap), render({ data: disc(12) }));
+});
@@ -0,0 +1,112 @@
+/**
+ * Option validation and normalisation: validateOptions() reports every
+ * invalid value with its path, strict mode throws the first one, and
+ * lenient mode repairs it with a single warning.
+ *
+ *   npm test
+ */
+'use strict';
+
+var test       = require('node:test');
+var assert     = require('node:assert');
+var WavelineBG = require('../src/waveline-bg.js');
+
+/** Runs fn with console.warn captured; returns the warnings. */
+function warnings(fn) {
+  var original = console.warn;
+  var messages = [];
+  console.warn = function(message) { messages.push(message); };
+  try {
+    fn();
+  } finally {
+    console.warn = original;
+  }
+  return messages;
+}
+
+/** Option paths of validateOptions() errors. */
+function invalid(options) {
+  return WavelineBG.validateOptions(options).map(function(err) { return err.option; });
+}
+
+test('accepts the defaults and reports nothing', function() {
+  assert.deepStrictEqual(WavelineBG.validateOptions({}), []);
+  assert.deepStrictEqual(WavelineBG.validateOptions({ seed: 1, density: 12, style: 'both' }), []);
+});
+
+test('reports each invalid option as a WavelineOptionError', function() {
+  var errors = WavelineBG.validateOptions({ density: 0, style: 'dots', width: 'wide' });
+  assert.deepStrictEqual(errors.map(function(err) { return err.option; }), ['width', 'density', 'style']);
+  errors.forEach(function(err) {
+    assert.ok(err instanceof WavelineBG.WavelineOptionError);
+    assert.ok(err instanceof Error);
+  });
+  assert.strictEqual(errors[1].range, 'an integer >= 1');
+  assert.strictEqual(errors[1].value, 0);
+});
+
+test('reports a minimum above its maximum', function() {
+  assert.deepStrictEqual(invalid({ strokeMin: 0.5, strokeMax: 0.2 }), ['strokeMax']);
+  assert.deepStrictEqual(invalid({ opacityMax: 0.2 }), ['opacityMax']);
+});
+
+test('prefixes errors in layers and themes with their path', function() {
+  assert.deepStrictEqual(invalid({ layers: [{}, { density: 0 }] }), ['layers[1].density']);
+  assert.deepStrictEqual(invalid({ layers: [null] }), ['layers[0]']);
+  assert.deepStrictEqual(invalid({ theme: { dark: { palette: 'nope' } } }), ['theme.dark.palette']);
+});
+
+test('checks nested pairs against the options they are laid over', function() {
+  assert.deepStrictEqual(invalid({ strokeMax: 0.2, layers: [{ strokeMin: 0.3 }] }), ['layers[0].strokeMax']);
+  assert.deepStrictEqual(invalid({ strokeMax: 0.5, layers: [{ strokeMin: 0.3 }] }), []);
+});
+
+test('throws the first error in strict mode', function() {
+  assert.throws(function() {
+    WavelineBG.normalizeOptions({ strict: true, density: 0 });
+  }, function(err) {
+    return err instanceof WavelineBG.WavelineOptionError && err.option === 'density';
+  });
+  assert.throws(function() {
+    WavelineBG.generateSvg({ strict: true, layers: [{ density: 0 }] });
+  }, { option: 'layers[0].density' });
+});
+
+test('repairs invalid values with one warning in lenient mode', function() {
+  var resolved;
+  var messages = warnings(function() {
+    resolved = WavelineBG.normalizeOptions({ density: 0, freq: '3', gridWidth: 10.6, style: 'dots' });
+  });
+  assert.strictEqual(resolved.density, 1);
+  assert.strictEqual(resolved.freq, 3);
+  assert.strictEqual(resolved.gridWidth, 11);
+  assert.strictEqual(resolved.style, 'lines');
+  assert.strictEqual(messages.length, 4);
+});
+
+test('warns once per invalid layer value, whatever the number of layers', function() {
+  assert.strictEqual(warnings(function() {
+    WavelineBG.generateSvg({ seed: 1, density: 0, layers: [{}, {}, {}] });
+  }).length, 1);
+  assert.strictEqual(warnings(function() {
+    WavelineBG.generateSvg({ seed: 1, maxBytes: 20000, layers: [{ density: 0 }, {}] });
+  }).length, 1);
+});
+
+test('warns about opacity and blend without layers', function() {
+  var resolved;
+  var messages = warnings(function() {
+    resolved = WavelineBG.normalizeOptions({ seed: 1, opacity: 0.5, blend: 'multiply' });
+  });
+  assert.strictEqual(messages.length, 2);
+  assert.strictEqual(resolved.opacity, 1);
+  assert.deepStrictEqual(warnings(function() {
+    WavelineBG.normalizeOptions({ seed: 1, opacity: 0.5, layers: [{}] });
+  }), []);
+});
+
+test('does not modify the given options', function() {
+  var options = { density: 0, layers: [{ freq: -1 }] };
+  warnings(function() { WavelineBG.normalizeOptions(options); });
+  assert.deepStrictEqual(options, { density: 0, layers: [{ freq: -1 }] });
+});
@@ -0,0 +1,52 @@
+/**
+ * Cartographic strokes: index contours, dash patterns and jitter.
+ *
+ *   npm test
+ */
+'use strict';
+
+var test       = require('node:test');
+var assert     = require('node:assert');
+var WavelineBG = require('../src/waveline-bg.js');
+
+/** Width and dash pattern of each contour path, lowest level first. */
+function strokes(options) {
+  var svg = WavelineBG.generateSvg(Object.assign({ seed: 1, density: 10 }, options));
+  return (svg.match(/<path [^>]*>/g) || []).map(function(tag) {
+    var dash = / stroke-dasharray="([^"]*)"/.exec(tag);
+    return { width: +/ stroke-width="([^"]*)"/.exec(tag)[1], dash: dash ? dash[1] : null };
+  });
+}
+
+test('widens every nth contour by indexWidth', function() {
+  var plain = strokes({});
+  var index = strokes({ indexEvery: 5, indexWidth: 2 });
+  index.forEach(function(stroke, i) {
+    var factor = (i + 1) % 5 === 0 ? 2 : 1;
+    assert.ok(Math.abs(stroke.width - plain[i].width * factor) < 1e-9, 'level ' + (i + 1));
+  });
+});
+
+test('uses one dash pattern for every line', function() {
+  strokes({ dash: [1, 0.5] }).forEach(function(stroke) {
+    assert.strictEqual(stroke.dash, '1 0.5');
+  });
+});
+
+test('uses a list of dash patterns in turn, keeping index contours solid', function() {
+  var dashes = strokes({ dash: [[], [1, 0.5]], indexEvery: 5 }).map(function(stroke) { return stroke.dash; });
+  assert.deepStrictEqual(dashes, [null, '1 0.5', null, '1 0.5', null, '1 0.5', null, '1 0.5', null, null]);
+});
+
+test('rejects dash patterns with negative or non-numeric lengths', function() {
+  [[1, -1], [[1], 'x'], 3, [[1, NaN]]].forEach(function(dash) {
+    assert.deepStrictEqual(WavelineBG.validateOptions({ dash: dash }).map(function(err) { return err.option; }),
+      ['dash'], JSON.stringify(dash));
+  });
+});
+
+test('jitters the same way for the same seed only', function() {
+  var options = { seed: 3, jitter: 0.6 };
+  assert.strictEqual(WavelineBG.generateSvg(options), WavelineBG.generateSvg(options));
+  assert.notStrictEqual(WavelineBG.generateSvg(options), WavelineBG.generateSvg({ seed: 3 }));
+});
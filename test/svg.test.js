@@ -0,0 +1,39 @@
+/**
+ * Ids in the SVG markup: backgrounds inlined on one page share a document,
+ * so ids must differ whenever their content differs, viewBox included.
+ *
+ *   npm test
+ */
+'use strict';
+
+var test       = require('node:test');
+var assert     = require('node:assert');
+var WavelineBG = require('../src/waveline-bg.js');
+
+/** The clipPath id of a render. */
+function clipId(options) {
+  return /<clipPath id="([^"]+)"/.exec(WavelineBG.generateSvg(options))[1];
+}
+
+test('gives the same clip-path id to the same background', function() {
+  assert.strictEqual(clipId({ seed: 1, height: 300 }), clipId({ seed: 1, height: 300 }));
+});
+
+test('gives different clip-path ids to different viewBoxes with the same seed', function() {
+  assert.notStrictEqual(clipId({ seed: 1, height: 300 }), clipId({ seed: 1, height: 200 }));
+  assert.notStrictEqual(clipId({ seed: 1, width: 400 }), clipId({ seed: 1, width: 300 }));
+  var layers = [{}, { field: 'fbm' }];
+  assert.notStrictEqual(clipId({ seed: 1, height: 300, layers: layers }), clipId({ seed: 1, height: 200, layers: layers }));
+});
+
+test('gives different clip-path ids to compositions with different layers', function() {
+  assert.notStrictEqual(clipId({ seed: 1 }), clipId({ seed: 1, layers: [{}] }));
+  assert.notStrictEqual(clipId({ seed: 1, layers: [{}, {}] }), clipId({ seed: 1, layers: [{}, {}, {}] }));
+  assert.notStrictEqual(clipId({ seed: 1, layers: [{}, { seed: 5 }] }), clipId({ seed: 1, layers: [{}, { seed: 6 }] }));
+});
+
+test('refers to the clip path it defines', function() {
+  var svg = WavelineBG.generateSvg({ seed: 1, layers: [{}, {}] });
+  var id  = /<clipPath id="([^"]+)"/.exec(svg)[1];
+  assert.ok(svg.indexOf('clip-path="url(#' + id + ')"') > 0);
+});
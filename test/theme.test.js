@@ -0,0 +1,86 @@
+/**
+ * Theme-aware output: cssVars writes colours as CSS variables with the
+ * given colours as fallbacks, colours that could break out of the style
+ * attribute are rejected, and theme overrides are validated like layers.
+ *
+ *   npm test
+ */
+'use strict';
+
+var test       = require('node:test');
+var assert     = require('node:assert');
+var WavelineBG = require('../src/waveline-bg.js');
+
+/** Runs fn with console.warn silenced; returns the warnings. */
+function warnings(fn) {
+  var original = console.warn;
+  var messages = [];
+  console.warn = function(message) { messages.push(message); };
+  try {
+    fn();
+  } finally {
+    console.warn = original;
+  }
+  return messages;
+}
+
+test('writes colours as CSS variables with fallbacks', function() {
+  var svg = WavelineBG.generateSvg({ seed: 2, density: 2, cssVars: true, strokeColor: '#214d83', backgroundColor: '#fff' });
+  assert.match(svg, /style="fill:var\(--waveline-background, #fff\)"/);
+  assert.match(svg, /style="stroke:var\(--waveline-stroke, #214d83\)"/);
+  assert.doesNotMatch(svg, /stroke="#214d83"/);
+});
+
+test('numbers palette variables and nests index contours over them', function() {
+  var svg = WavelineBG.generateSvg({ seed: 2, density: 2, cssVars: true, palette: ['#123456', '#abcdef'], indexEvery: 2 });
+  assert.match(svg, /stroke:var\(--waveline-color-1, #123456\)/);
+  assert.match(svg, /stroke:var\(--waveline-index, var\(--waveline-color-2, #abcdef\)\)/);
+});
+
+test('writes plain attributes without cssVars', function() {
+  var svg = WavelineBG.generateSvg({ seed: 2, density: 2, strokeColor: '#214d83' });
+  assert.match(svg, /stroke="#214d83"/);
+  assert.doesNotMatch(svg, /var\(--waveline/);
+});
+
+test('rejects colours that could break out of a style attribute', function() {
+  var errors = WavelineBG.validateOptions({
+    strokeColor:     'red;background:url(x)',
+    backgroundColor: 'url(a)',
+    palette:         ['#fff', 'x}y'],
+    indexColor:      'a\\b'
+  });
+  assert.deepStrictEqual(errors.map(function(err) { return err.option; }),
+    ['indexColor', 'strokeColor', 'backgroundColor', 'palette']);
+  assert.throws(function() {
+    WavelineBG.generateSvg({ strict: true, cssVars: true, strokeColor: 'red;x:y' });
+  }, { option: 'strokeColor' });
+});
+
+test('renders repaired colours only, with one warning', function() {
+  var svg;
+  var messages = warnings(function() {
+    svg = WavelineBG.generateSvg({ seed: 2, density: 2, cssVars: true, strokeColor: 'red;fill:url(#x)' });
+  });
+  assert.strictEqual(messages.length, 1);
+  assert.doesNotMatch(svg, /url\(#x\)/);
+});
+
+test('escapes quotes and markup in colours', function() {
+  var svg = WavelineBG.generateSvg({ seed: 2, density: 2, cssVars: true, strokeColor: 'red"/><script>' });
+  assert.doesNotMatch(svg, /<script>/);
+  assert.match(svg, /red&quot;\/&gt;&lt;script&gt;/);
+});
+
+test('validates theme overrides with their scheme in the path', function() {
+  var errors = WavelineBG.validateOptions({
+    theme: { light: { strokeColor: 'url(x)' }, dark: { density: 0 } }
+  });
+  assert.deepStrictEqual(errors.map(function(err) { return err.option; }),
+    ['theme.light.strokeColor', 'theme.dark.density']);
+  var resolved;
+  warnings(function() {
+    resolved = WavelineBG.normalizeOptions({ theme: { dark: { strokeColor: 'url(x)', palette: 'ocean' } } });
+  });
+  assert.deepStrictEqual(resolved.theme.dark, { strokeColor: WavelineBG.normalizeOptions({}).strokeColor, palette: 'ocean' });
+});
@@ -0,0 +1,80 @@
+/**
+ * Tileable patterns: the terrain must repeat every tile, and every contour
+ * that leaves the tile on one side must come back at the same point on the
+ * other, so copies placed side by side join without seams.
+ *
+ *   npm test
+ */
+'use strict';
+
+var test       = require('node:test');
+var assert     = require('node:assert');
+var WavelineBG = require('../src/waveline-bg.js');
+
+var FIELDS = ['sine', 'perlin', 'simplex', 'fbm', 'ridged'];
+var SEEDS  = [1, 42, 1955];
+
+/**
+ * Positions along a grid line of the points where contours cross it: the
+ * vertices at x = `at` (axis 'x') or y = `at` (axis 'y') within one period,
+ * from `from`. Contour vertices sit on the grid lines, so both sides of a
+ * seamless tile cross the same grid line at the same places.
+ */
+function crossings(svg, axis, at, from, period) {
+  var found = [];
+  var re    = /<path d="([^"]+)"/g;
+  var match;
+  while ((match = re.exec(svg))) {
+    var numbers = match[1].match(/-?\d+(\.\d+)?/g).map(Number);
+    for (var i = 0; i + 1 < numbers.length; i += 2) {
+      var across = axis === 'x' ? numbers[i] : numbers[i + 1];
+      var along  = axis === 'x' ? numbers[i + 1] : numbers[i];
+      if (Math.abs(across - at) < 1e-3 && along >= from && along < from + period) found.push(along);
+    }
+  }
+  // Rings closing on a grid line list their first vertex twice
+  return found.sort(function(a, b) { return a - b; }).filter(function(v, i, all) { return v !== all[i - 1]; });
+}
+
+/** Asserts that opposite edges of a tileable render are crossed at the same points. */
+function assertSeamless(options) {
+  var svg = WavelineBG.generateSvg(Object.assign({ tileable: true }, options));
+  var w   = options.width,     h  = options.height;
+  var hx  = w / options.gridWidth / 2, hy = h / options.gridHeight / 2; // first grid line
+  var left = crossings(svg, 'x', hx, hy, h), right  = crossings(svg, 'x', w + hx, hy, h);
+  var top  = crossings(svg, 'y', hy, hx, w), bottom = crossings(svg, 'y', h + hy, hx, w);
+  var name = JSON.stringify(options);
+  assert.ok(left.length > 0 || top.length > 0, name + ' crosses no edge');
+  assert.strictEqual(right.length, left.length, name + ' left/right');
+  assert.strictEqual(bottom.length, top.length, name + ' top/bottom');
+  left.forEach(function(y, i) { assert.ok(Math.abs(right[i] - y) < 2e-3, name + ' left/right at ' + y); });
+  top.forEach(function(x, i) { assert.ok(Math.abs(bottom[i] - x) < 2e-3, name + ' top/bottom at ' + x); });
+}
+
+test('repeats itself when moved by whole tiles', function() {
+  FIELDS.forEach(function(field) {
+    SEEDS.forEach(function(seed) {
+      var tile = WavelineBG.generateSvg({ field: field, seed: seed, tileable: true });
+      [[1, 0], [0, 1], [-2, 3]].forEach(function(offset) {
+        var moved = WavelineBG.generateSvg({ field: field, seed: seed, tileable: true, fieldOffset: offset });
+        assert.strictEqual(moved, tile, field + ' ' + seed + ' moved by ' + offset);
+      });
+    });
+  });
+});
+
+test('joins without seams for every field type', function() {
+  FIELDS.forEach(function(field) {
+    SEEDS.forEach(function(seed) {
+      assertSeamless({ field: field, seed: seed, width: 100, height: 50, gridWidth: 160, gridHeight: 80 });
+    });
+  });
+});
+
+test('joins without seams with filled bands on a non-square grid', function() {
+  SEEDS.forEach(function(seed) {
+    assertSeamless({
+      field: 'fbm', style: 'both', seed: seed, width: 120, height: 80, gridWidth: 96, gridHeight: 64
+    });
+  });
+});